@@ -1,6 +1,5 @@
 import { supabase } from '../../lib/supabase.js';
-import { validateFCMToken } from '../../lib/fcm.js';
-import { validateAPNSToken } from '../../lib/apns.js';
+import { getPushProvider } from '../../lib/push-providers.js';
 
 // Clean up invalid push tokens (runs daily at 2 AM)
 export default async function handler(req, res) {
@@ -34,7 +33,9 @@ export default async function handler(req, res) {
   }
 }
 
-async function cleanupInvalidTokens() {
+// Validate stale tokens, then prune old tokens, history and queue rows.
+// Token validation stops at `deadline` (ms timestamp); the pruning always runs.
+export async function cleanupInvalidTokens({ deadline = null } = {}) {
   const results = {
     validated: 0,
     deactivated: 0,
@@ -48,7 +49,7 @@ async function cleanupInvalidTokens() {
     
     const { data: tokensToValidate, error } = await supabase
       .from('push_tokens')
-      .select('id, token, platform, user_id, last_validated_at')
+      .select('id, token, platform, user_id, last_validated_at, web_push_p256dh, web_push_auth')
       .eq('is_active', true)
       .or(`last_validated_at.is.null,last_validated_at.lt.${sevenDaysAgo}`)
       .order('last_used_at', { ascending: true })
@@ -59,31 +60,33 @@ async function cleanupInvalidTokens() {
       throw error;
     }
 
-    if (!tokensToValidate || tokensToValidate.length === 0) {
+    const pendingTokens = tokensToValidate || [];
+    if (pendingTokens.length === 0) {
       console.log('No tokens need validation');
-      return results;
+    } else {
+      console.log(`🔍 Validating ${pendingTokens.length} push tokens...`);
     }
 
-    console.log(`🔍 Validating ${tokensToValidate.length} push tokens...`);
-
     // Validate tokens in batches to avoid overwhelming the services
     const batchSize = 50;
-    for (let i = 0; i < tokensToValidate.length; i += batchSize) {
-      const batch = tokensToValidate.slice(i, i + batchSize);
+    for (let i = 0; i < pendingTokens.length; i += batchSize) {
+      if (deadline && Date.now() >= deadline) {
+        console.log(`⏱️ Time budget reached after validating ${results.validated} tokens`);
+        break;
+      }
+
+      const batch = pendingTokens.slice(i, i + batchSize);
       
       await Promise.all(batch.map(async (tokenRecord) => {
         try {
-          let validation;
-          
-          if (tokenRecord.platform === 'android') {
-            validation = await validateFCMToken(tokenRecord.token);
-          } else if (tokenRecord.platform === 'ios') {
-            validation = await validateAPNSToken(tokenRecord.token);
-          } else {
-            console.warn(`Unknown platform: ${tokenRecord.platform}`);
+          const provider = getPushProvider(tokenRecord);
+          if (!provider) {
+            console.warn(`No push provider for ${tokenRecord.platform} token ${tokenRecord.id}`);
             return;
           }
 
+          const validation = await provider.validate(tokenRecord.token, tokenRecord);
+
           results.validated++;
 
           if (validation.valid) {
@@ -116,7 +119,7 @@ async function cleanupInvalidTokens() {
       }));
 
       // Small delay between batches
-      if (i + batchSize < tokensToValidate.length) {
+      if (i + batchSize < pendingTokens.length) {
         await new Promise(resolve => setTimeout(resolve, 1000));
       }
     }
@@ -154,6 +157,21 @@ async function cleanupInvalidTokens() {
       console.log('🧹 Cleaned old notification history');
     }
 
+    // Clean up checked Expo push tickets (keep last 7 days)
+    const sevenDaysAgoTickets = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+
+    const { error: ticketDeleteError } = await supabase
+      .from('expo_push_tickets')
+      .delete()
+      .neq('status', 'pending')
+      .lt('created_at', sevenDaysAgoTickets);
+
+    if (ticketDeleteError) {
+      console.error('Error cleaning Expo push tickets:', ticketDeleteError);
+    } else {
+      console.log('🧹 Cleaned old Expo push tickets');
+    }
+
     // Clean up old queue entries (keep last 7 days)
     const sevenDaysAgoQueue = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
     
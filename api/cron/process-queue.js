@@ -1,6 +1,10 @@
 import { supabase } from '../../lib/supabase.js';
 import { notificationService } from '../../lib/notification-service.js';
 
+// How long a claimed row stays invisible to other runs. If a run dies before
+// finishing (e.g. hits maxDuration), the row is picked up again after this.
+const QUEUE_LEASE_SECONDS = 60;
+
 // Process queued notifications (runs every 5 minutes)
 export default async function handler(req, res) {
   // Verify this is a Vercel cron request
@@ -13,12 +17,14 @@ export default async function handler(req, res) {
 
   try {
     const processedCount = await processNotificationQueue();
+    const flushedBatches = await notificationService.flushDueBatches();
     
-    console.log(`✅ Processed ${processedCount} queued notifications`);
+    console.log(`✅ Processed ${processedCount} queued notifications, flushed ${flushedBatches} batches`);
     
     return res.status(200).json({
       success: true,
       processed: processedCount,
+      flushedBatches,
       timestamp: new Date().toISOString()
     });
 
@@ -33,19 +39,20 @@ export default async function handler(req, res) {
   }
 }
 
-async function processNotificationQueue() {
+// Claim and send due notifications. Once `deadline` (ms timestamp) has passed,
+// claimed rows that haven't been started are released for the next run.
+export async function processNotificationQueue({ deadline = null } = {}) {
   try {
-    // Get pending notifications (you would create this table for queuing)
+    // Atomically claim due notifications (and ones whose lease expired while a
+    // previous run was processing them) so overlapping runs never share a row
     const { data: queuedNotifications, error } = await supabase
-      .from('notification_queue')
-      .select('*')
-      .eq('status', 'pending')
-      .order('priority', { ascending: false })
-      .order('created_at', { ascending: true })
-      .limit(100); // Process 100 at a time
+      .rpc('claim_notification_queue', {
+        p_limit: 100, // Process 100 at a time
+        p_lease_seconds: QUEUE_LEASE_SECONDS
+      });
 
     if (error) {
-      console.error('Error fetching queued notifications:', error);
+      console.error('Error claiming queued notifications:', error);
       return 0;
     }
 
@@ -54,18 +61,40 @@ async function processNotificationQueue() {
     }
 
     let processedCount = 0;
+    const isOutOfTime = () => deadline && Date.now() >= deadline;
+
+    // Several notifications held back by quiet hours go out as one digest per user
+    const { digests, singles } = groupQuietHoursDigests(queuedNotifications);
+
+    for (const [index, [userId, notifications]] of digests.entries()) {
+      if (isOutOfTime()) {
+        await releaseQueuedNotifications([
+          ...digests.slice(index).flatMap(([, rows]) => rows),
+          ...singles
+        ]);
+        return processedCount;
+      }
 
-    for (const notification of queuedNotifications) {
       try {
-        // Mark as processing
-        await supabase
-          .from('notification_queue')
-          .update({ 
-            status: 'processing',
-            processing_started_at: new Date().toISOString()
-          })
-          .eq('id', notification.id);
+        console.log(`🌙 Sending quiet hours digest of ${notifications.length} notifications to user ${userId}`);
+        const result = await notificationService.sendQuietHoursDigest(userId, notifications);
+
+        await Promise.all(notifications.map(n => completeQueuedNotification(n, result)));
+        processedCount += notifications.length;
+
+      } catch (digestError) {
+        console.error(`Error processing quiet hours digest for user ${userId}:`, digestError);
+        await Promise.all(notifications.map(n => failQueuedNotification(n, digestError)));
+      }
+    }
+
+    for (const [index, notification] of singles.entries()) {
+      if (isOutOfTime()) {
+        await releaseQueuedNotifications(singles.slice(index));
+        return processedCount;
+      }
 
+      try {
         // Send the notification
         const result = await notificationService.sendNotification(
           notification.user_id,
@@ -73,46 +102,12 @@ async function processNotificationQueue() {
           notification.data || {}
         );
 
-        // Update status based on result
-        const updateData = {
-          processing_completed_at: new Date().toISOString()
-        };
-
-        if (result.success) {
-          updateData.status = 'sent';
-          updateData.sent_at = new Date().toISOString();
-          updateData.devices_reached = result.devicesReached || 0;
-        } else {
-          updateData.status = 'failed';
-          updateData.error_message = result.error || 'Unknown error';
-          updateData.retry_count = (notification.retry_count || 0) + 1;
-          
-          // Schedule retry if not too many attempts
-          if (updateData.retry_count < 3) {
-            updateData.status = 'pending';
-            updateData.scheduled_for = new Date(Date.now() + (updateData.retry_count * 5 * 60 * 1000)).toISOString(); // Exponential backoff
-          }
-        }
-
-        await supabase
-          .from('notification_queue')
-          .update(updateData)
-          .eq('id', notification.id);
-
+        await completeQueuedNotification(notification, result);
         processedCount++;
 
       } catch (notificationError) {
         console.error(`Error processing notification ${notification.id}:`, notificationError);
-        
-        // Mark as failed
-        await supabase
-          .from('notification_queue')
-          .update({
-            status: 'failed',
-            error_message: notificationError.message,
-            processing_completed_at: new Date().toISOString()
-          })
-          .eq('id', notification.id);
+        await failQueuedNotification(notification, notificationError);
       }
 
       // Small delay between notifications to avoid overwhelming services
@@ -127,33 +122,99 @@ async function processNotificationQueue() {
   }
 }
 
-// Helper function to add notification to queue (can be called from other parts of the system)
-export async function queueNotification(userId, notificationType, data = {}, priority = 'medium', scheduledFor = null) {
-  try {
-    const { data: queuedNotification, error } = await supabase
-      .from('notification_queue')
-      .insert({
-        user_id: userId,
-        notification_type: notificationType,
-        data: data,
-        priority: priority,
-        status: 'pending',
-        scheduled_for: scheduledFor || new Date().toISOString(),
-        created_at: new Date().toISOString()
-      })
-      .select('id')
-      .single();
+// Split due notifications into per-user quiet hours digests (2+ deferred
+// notifications for the same user) and notifications to send individually
+function groupQuietHoursDigests(queuedNotifications) {
+  const deferredByUser = new Map();
+  const singles = [];
 
-    if (error) {
-      console.error('Error queuing notification:', error);
-      return false;
+  queuedNotifications.forEach(notification => {
+    if (notification.deferred_reason !== 'quiet_hours') {
+      singles.push(notification);
+      return;
+    }
+
+    const userNotifications = deferredByUser.get(notification.user_id) || [];
+    userNotifications.push(notification);
+    deferredByUser.set(notification.user_id, userNotifications);
+  });
+
+  const digests = [];
+  for (const [userId, notifications] of deferredByUser) {
+    if (notifications.length > 1) {
+      digests.push([userId, notifications]);
+    } else {
+      singles.push(notifications[0]);
     }
+  }
 
-    console.log(`📥 Queued ${notificationType} notification for user ${userId}`);
-    return queuedNotification.id;
+  return { digests, singles };
+}
 
-  } catch (error) {
-    console.error('Error in queueNotification:', error);
-    return false;
+// Send results that a retry would only repeat: the user turned the type off,
+// has no devices, or the notification is out of date
+const SKIPPED_REASONS = new Set(['type_disabled', 'no_tokens', 'expired']);
+
+// Update a queue row based on the send result, scheduling a retry on failure
+async function completeQueuedNotification(notification, result) {
+  const updateData = {
+    processing_completed_at: new Date().toISOString(),
+    lease_expires_at: null
+  };
+
+  if (result.success) {
+    updateData.status = 'sent';
+    updateData.sent_at = new Date().toISOString();
+    updateData.devices_reached = result.devicesReached || 0;
+  } else if (SKIPPED_REASONS.has(result.reason)) {
+    updateData.status = 'skipped';
+    updateData.error_message = result.reason;
+  } else {
+    // Transport errors and rate limits can clear up by the next attempt
+    updateData.status = 'failed';
+    updateData.error_message = result.error || result.reason || 'Unknown error';
+    updateData.retry_count = (notification.retry_count || 0) + 1;
+    
+    // Schedule retry if not too many attempts
+    if (updateData.retry_count < 3) {
+      updateData.status = 'pending';
+      updateData.scheduled_for = new Date(Date.now() + (updateData.retry_count * 5 * 60 * 1000)).toISOString(); // Exponential backoff
+    }
   }
-}
\ No newline at end of file
+
+  await supabase
+    .from('notification_queue')
+    .update(updateData)
+    .eq('id', notification.id);
+}
+
+// Hand claimed-but-unstarted rows back to the queue without counting a retry
+async function releaseQueuedNotifications(notifications) {
+  if (notifications.length === 0) return;
+
+  console.log(`⏱️ Time budget reached, releasing ${notifications.length} claimed notifications`);
+
+  await supabase
+    .from('notification_queue')
+    .update({
+      status: 'pending',
+      lease_expires_at: null
+    })
+    .in('id', notifications.map(n => n.id))
+    .eq('status', 'processing');
+}
+
+async function failQueuedNotification(notification, error) {
+  await supabase
+    .from('notification_queue')
+    .update({
+      status: 'failed',
+      error_message: error.message,
+      processing_completed_at: new Date().toISOString(),
+      lease_expires_at: null
+    })
+    .eq('id', notification.id);
+}
+
+// Kept here for callers that import it from the cron module
+export { queueNotification } from '../../lib/notification-queue.js';
@@ -1,6 +1,12 @@
 import { supabase } from '../../lib/supabase.js';
+import { handleDatabaseEvent } from '../../lib/event-handlers.js';
 
-// Process webhook queue from Supabase (runs every 2 minutes)
+// How long a claimed row stays invisible to other runs. If a run dies before
+// finishing (e.g. hits maxDuration), the row is picked up again after this.
+const WEBHOOK_LEASE_SECONDS = 60;
+
+// Process webhook queue from Supabase (not scheduled in vercel.json; see
+// "Cron Jobs" in the README)
 export default async function handler(req, res) {
   // Verify this is a Vercel cron request
   const authHeader = req.headers.authorization;
@@ -32,19 +38,20 @@ export default async function handler(req, res) {
   }
 }
 
-async function processWebhookQueue() {
+// Claim and handle pending webhook_queue rows. Once `deadline` (ms timestamp)
+// has passed, claimed rows that haven't been started are released for the next run.
+export async function processWebhookQueue({ deadline = null } = {}) {
   try {
-    // Get pending webhook calls from Supabase
+    // Atomically claim pending payloads (and ones whose lease expired while a
+    // previous run was handling them) so overlapping runs never share a row
     const { data: webhooks, error } = await supabase
-      .from('webhook_queue')
-      .select('*')
-      .eq('status', 'pending')
-      .lt('retry_count', 3)
-      .order('created_at', { ascending: true })
-      .limit(50); // Process 50 at a time
+      .rpc('claim_webhook_queue', {
+        p_limit: 50, // Process 50 at a time
+        p_lease_seconds: WEBHOOK_LEASE_SECONDS
+      });
 
     if (error) {
-      console.error('Error fetching webhook queue:', error);
+      console.error('Error claiming webhook queue:', error);
       return 0;
     }
 
@@ -54,23 +61,24 @@ async function processWebhookQueue() {
 
     let processedCount = 0;
 
-    for (const webhook of webhooks) {
-      try {
-        // Mark as processing
-        await supabase
-          .from('webhook_queue')
-          .update({ status: 'processing' })
-          .eq('id', webhook.id);
+    for (const [index, webhook] of webhooks.entries()) {
+      if (deadline && Date.now() >= deadline) {
+        await releaseWebhooks(webhooks.slice(index));
+        break;
+      }
 
+      try {
         // Process the webhook payload
-        await processWebhookPayload(webhook.payload);
+        console.log(`📥 Processing webhook: ${webhook.payload?.table}.${webhook.payload?.type}`);
+        await handleDatabaseEvent(webhook.payload);
 
         // Mark as sent
         await supabase
           .from('webhook_queue')
           .update({ 
             status: 'sent',
-            sent_at: new Date().toISOString()
+            sent_at: new Date().toISOString(),
+            lease_expires_at: null
           })
           .eq('id', webhook.id);
 
@@ -82,7 +90,8 @@ async function processWebhookQueue() {
         const newRetryCount = (webhook.retry_count || 0) + 1;
         const updateData = {
           retry_count: newRetryCount,
-          error_message: webhookError.message
+          error_message: webhookError.message,
+          lease_expires_at: null
         };
 
         if (newRetryCount >= 3) {
@@ -109,236 +118,16 @@ async function processWebhookQueue() {
   }
 }
 
-function checkIfEventGoingLive(record, old_record) {
-  // Check common column names that might indicate event status
-  const statusColumns = ['status', 'state', 'is_live', 'active', 'is_active'];
-  
-  for (const column of statusColumns) {
-    if (record.hasOwnProperty(column) && old_record?.hasOwnProperty(column)) {
-      // Check for status change to 'live', 'active', true, etc.
-      const newValue = record[column];
-      const oldValue = old_record[column];
-      
-      if (newValue !== oldValue) {
-        // Check if it's going to a "live" state
-        if (newValue === 'live' || newValue === 'active' || newValue === true) {
-          console.log(`Event going live detected: ${column} changed from ${oldValue} to ${newValue}`);
-          return true;
-        }
-      }
-    }
-  }
-  
-  // Also check if start_time is being updated to current time (event starting now)
-  if (record.start_time && old_record?.start_time) {
-    const newStartTime = new Date(record.start_time);
-    const oldStartTime = new Date(old_record.start_time);
-    const now = new Date();
-    
-    // If start_time changed and new start_time is within 5 minutes of now
-    if (newStartTime.getTime() !== oldStartTime.getTime()) {
-      const timeDiff = Math.abs(now.getTime() - newStartTime.getTime());
-      if (timeDiff < 5 * 60 * 1000) { // 5 minutes
-        console.log(`Event starting now detected: start_time updated to ${record.start_time}`);
-        return true;
-      }
-    }
-  }
-  
-  return false;
-}
-
-async function processWebhookPayload(payload) {
-  const { table, type, record, old_record } = payload;
-
-  console.log(`📥 Processing webhook: ${table}.${type}`);
-
-  // Import notification functions
-  const { 
-    notifyPhotoLiked, 
-    notifyGalleryUnlocked,
-    notifyEventLive,
-    notifyCommunityMilestone,
-    notifyPeakActivity
-  } = await import('../../lib/notification-service.js');
-
-  // Handle different database events
-  switch (table) {
-    case 'photo_likes':
-      if (type === 'INSERT') {
-        await handlePhotoLiked(record);
-      }
-      break;
-
-    case 'events':
-      if (type === 'UPDATE') {
-        // Check if this is an event going live
-        // Since we don't know the exact column name, we'll check for common patterns
-        const isGoingLive = checkIfEventGoingLive(record, old_record);
-        if (isGoingLive) {
-          await handleEventLive(record);
-        }
-      }
-      break;
-
-    case 'photos':
-      if (type === 'INSERT') {
-        await handleNewPhoto(record);
-      }
-      break;
-
-    default:
-      console.log(`⚠️ Unhandled webhook table: ${table}`);
-  }
-}
-
-async function handlePhotoLiked(record) {
-  try {
-    // Get photo details and current like count
-    const { data: photo } = await supabase
-      .from('photos')
-      .select('user_id, event_id')
-      .eq('id', record.photo_id)
-      .single();
-
-    if (!photo) return;
-
-    // Get current like count
-    const { count: likeCount } = await supabase
-      .from('photo_likes')
-      .select('*', { count: 'exact', head: true })
-      .eq('photo_id', record.photo_id);
-
-    // Get event details
-    const { data: event } = await supabase
-      .from('events')
-      .select('name')
-      .eq('id', photo.event_id)
-      .single();
-
-    // Import and use notification function
-    const { notifyPhotoLiked } = await import('../../lib/notification-service.js');
-
-    // Send notification to photo owner
-    await notifyPhotoLiked(
-      photo.user_id,
-      record.photo_id,
-      photo.event_id,
-      likeCount,
-      event?.name || 'your event'
-    );
-
-  } catch (error) {
-    console.error('Error handling photo liked:', error);
-    throw error;
-  }
-}
-
-async function handleEventLive(record) {
-  try {
-    // Get all event participants
-    const { data: participants } = await supabase
-      .from('event_participants')
-      .select('user_id')
-      .eq('event_id', record.id)
-      .eq('status', 'accepted');
-
-    if (!participants || participants.length === 0) return;
-
-    const userIds = participants.map(p => p.user_id);
-
-    // Import and use notification function
-    const { notifyEventLive } = await import('../../lib/notification-service.js');
-
-    // Send event live notification
-    await notifyEventLive(userIds, record.id, record.name);
-
-  } catch (error) {
-    console.error('Error handling event live:', error);
-    throw error;
-  }
+// Hand claimed rows that weren't started back to the queue
+async function releaseWebhooks(webhooks) {
+  console.log(`⏱️ Time budget reached, leaving ${webhooks.length} webhooks for the next run`);
+
+  await supabase
+    .from('webhook_queue')
+    .update({
+      status: 'pending',
+      lease_expires_at: null
+    })
+    .in('id', webhooks.map(w => w.id))
+    .eq('status', 'processing');
 }
-
-async function handleNewPhoto(record) {
-  try {
-    // Check if this photo triggers a milestone
-    const { count: totalPhotos } = await supabase
-      .from('photos')
-      .select('*', { count: 'exact', head: true })
-      .eq('event_id', record.event_id);
-
-    // Milestone notifications at 50, 100, 250, 500, 1000 photos
-    const milestones = [50, 100, 250, 500, 1000];
-    if (milestones.includes(totalPhotos)) {
-      // Get event participants
-      const { data: participants } = await supabase
-        .from('event_participants')
-        .select('user_id')
-        .eq('event_id', record.event_id)
-        .eq('status', 'accepted');
-
-      if (participants && participants.length > 0) {
-        const userIds = participants.map(p => p.user_id);
-        
-        // Get event details
-        const { data: event } = await supabase
-          .from('events')
-          .select('name')
-          .eq('id', record.event_id)
-          .single();
-
-        // Import and use notification function
-        const { notifyCommunityMilestone } = await import('../../lib/notification-service.js');
-
-        await notifyCommunityMilestone(
-          userIds,
-          record.event_id,
-          event?.name || 'Event',
-          totalPhotos
-        );
-      }
-    }
-
-    // Check for peak activity (10+ photos in last hour)
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
-    const { count: recentPhotos } = await supabase
-      .from('photos')
-      .select('*', { count: 'exact', head: true })
-      .eq('event_id', record.event_id)
-      .gte('created_at', oneHourAgo);
-
-    if (recentPhotos >= 10 && recentPhotos % 10 === 0) {
-      // Get event participants
-      const { data: participants } = await supabase
-        .from('event_participants')
-        .select('user_id')
-        .eq('event_id', record.event_id)
-        .eq('status', 'accepted');
-
-      if (participants && participants.length > 0) {
-        const userIds = participants.map(p => p.user_id);
-        
-        // Get event details
-        const { data: event } = await supabase
-          .from('events')
-          .select('name')
-          .eq('id', record.event_id)
-          .single();
-
-        // Import and use notification function
-        const { notifyPeakActivity } = await import('../../lib/notification-service.js');
-
-        await notifyPeakActivity(
-          userIds,
-          record.event_id,
-          event?.name || 'Event',
-          recentPhotos
-        );
-      }
-    }
-
-  } catch (error) {
-    console.error('Error handling new photo:', error);
-    throw error;
-  }
-}
\ No newline at end of file
@@ -0,0 +1,212 @@
+import {
+  supabase,
+  getInboxNotifications,
+  getUnreadNotificationCount,
+  markNotificationsRead,
+  deleteInboxNotifications,
+  isNotificationId
+} from '../lib/supabase.js';
+import { getAuthenticatedUser } from '../lib/auth.js';
+import { notificationService } from '../lib/notification-service.js';
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 50;
+const MAX_IDS_PER_REQUEST = 100;
+
+// created_at as PostgREST returns it, e.g. 2025-06-01T12:00:00.123456+00:00.
+// The cursor is interpolated into an .or() filter, so nothing else gets through.
+const CURSOR_TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?(Z|[+-]\d{2}:\d{2})$/;
+
+// In-app notification inbox for the signed-in user
+// GET lists (cursor paginated, grouped by event), PATCH marks read, DELETE removes
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'PATCH', 'DELETE'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'PATCH', 'DELETE']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify the user's Supabase access token
+    const user = await getAuthenticatedUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if (req.method === 'GET') {
+      return await listInbox(req, res, user.id);
+    }
+
+    if (req.method === 'PATCH') {
+      // { ids: [...] } marks those read, { all: true } marks everything read
+      const { ids, all } = req.body || {};
+
+      if (all !== true) {
+        const idsError = validateIds(ids);
+        if (idsError) {
+          return res.status(400).json({ error: `${idsError}, or send { "all": true }` });
+        }
+      }
+
+      const marked = await markNotificationsRead(user.id, all === true ? null : ids);
+
+      // Bring the badge on the user's other devices in line
+      if (marked > 0) {
+        await notificationService.sendBadgeSync(user.id);
+      }
+
+      return res.status(200).json({
+        success: true,
+        marked,
+        unreadCount: await getUnreadNotificationCount(user.id)
+      });
+    }
+
+    // DELETE { ids: [...] }
+    const { ids } = req.body || {};
+    const idsError = validateIds(ids);
+    if (idsError) {
+      return res.status(400).json({ error: idsError });
+    }
+
+    const deleted = await deleteInboxNotifications(user.id, ids);
+
+    if (deleted > 0) {
+      await notificationService.sendBadgeSync(user.id);
+    }
+
+    return res.status(200).json({
+      success: true,
+      deleted,
+      unreadCount: await getUnreadNotificationCount(user.id)
+    });
+
+  } catch (error) {
+    console.error('❌ Inbox API error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+async function listInbox(req, res, userId) {
+  const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  let before = null;
+  if (req.query.cursor) {
+    before = decodeCursor(req.query.cursor);
+    if (!before) {
+      return res.status(400).json({ error: 'Invalid cursor' });
+    }
+  }
+
+  // Fetch one extra row to know whether there is another page
+  const [rows, unreadCount] = await Promise.all([
+    getInboxNotifications(userId, { limit: limit + 1, before }),
+    getUnreadNotificationCount(userId)
+  ]);
+
+  const hasMore = rows.length > limit;
+  const notifications = rows.slice(0, limit).map(serializeNotification);
+  const last = notifications[notifications.length - 1];
+
+  return res.status(200).json({
+    success: true,
+    groups: await groupByEvent(notifications),
+    unreadCount,
+    nextCursor: hasMore && last ? encodeCursor(last) : null
+  });
+}
+
+// Group a page by event, keeping newest-first order of each group's latest
+// notification. Notifications without an event share one group (eventId null).
+async function groupByEvent(notifications) {
+  const groups = new Map();
+
+  notifications.forEach(notification => {
+    const key = notification.eventId || null;
+    if (!groups.has(key)) {
+      groups.set(key, { eventId: key, eventName: null, unreadCount: 0, notifications: [] });
+    }
+
+    const group = groups.get(key);
+    group.notifications.push(notification);
+    if (!notification.read) {
+      group.unreadCount++;
+    }
+  });
+
+  const eventIds = [...groups.keys()].filter(Boolean);
+  if (eventIds.length > 0) {
+    const { data: events } = await supabase
+      .from('events')
+      .select('id, name')
+      .in('id', eventIds);
+
+    (events || []).forEach(event => {
+      groups.get(event.id).eventName = event.name;
+    });
+  }
+
+  return [...groups.values()];
+}
+
+function serializeNotification(row) {
+  return {
+    id: row.id,
+    type: row.notification_type,
+    title: row.title,
+    body: row.body,
+    data: row.data || {},
+    eventId: row.event_id,
+    photoId: row.photo_id,
+    read: !!row.read_at,
+    readAt: row.read_at,
+    createdAt: row.created_at
+  };
+}
+
+// Opaque cursor: the (createdAt, id) of the last notification on the page
+function encodeCursor(notification) {
+  return Buffer.from(JSON.stringify([notification.createdAt, notification.id])).toString('base64url');
+}
+
+export function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || !CURSOR_TIMESTAMP_PATTERN.test(createdAt) || Number.isNaN(Date.parse(createdAt)) ||
+        typeof id !== 'string' || !/^[\w-]+$/.test(id)) {
+      return null;
+    }
+    return { createdAt, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+function validateIds(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    return 'ids must be a non-empty array';
+  }
+
+  if (ids.length > MAX_IDS_PER_REQUEST) {
+    return `Maximum ${MAX_IDS_PER_REQUEST} ids per request`;
+  }
+
+  if (!ids.every(isNotificationId)) {
+    return 'ids must be notification ids (UUIDs)';
+  }
+
+  return null;
+}
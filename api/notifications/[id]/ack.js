@@ -0,0 +1,96 @@
+import { updateNotificationStatus, isNotificationId } from '../../../lib/supabase.js';
+import { getAuthenticatedUser } from '../../../lib/auth.js';
+import { notificationService } from '../../../lib/notification-service.js';
+
+// Statuses the app can report, and the statuses each may replace. A status is
+// never moved backwards (e.g. a late 'delivered' doesn't undo 'opened').
+const ACK_TRANSITIONS = {
+  delivered: ['pending', 'sent'],
+  opened: ['pending', 'sent', 'delivered', 'failed'],
+  dismissed: ['pending', 'sent', 'delivered', 'failed']
+};
+
+const MAX_ACTION_ID_LENGTH = 100;
+
+// Acknowledge a notification from the app: POST /api/notifications/:id/ack
+// The id is the historyId sent in every push's data payload.
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify the user's Supabase access token
+    const user = await getAuthenticatedUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const { id } = req.query;
+    const { status, actionId } = req.body || {};
+
+    if (!id) {
+      return res.status(400).json({ error: 'Notification id is required' });
+    }
+
+    if (!isNotificationId(id)) {
+      return res.status(400).json({ error: 'Notification id must be a UUID' });
+    }
+
+    if (!ACK_TRANSITIONS[status]) {
+      return res.status(400).json({
+        error: `status must be one of: ${Object.keys(ACK_TRANSITIONS).join(', ')}`
+      });
+    }
+
+    if (actionId !== undefined && actionId !== null &&
+        (typeof actionId !== 'string' || actionId.length === 0 || actionId.length > MAX_ACTION_ID_LENGTH)) {
+      return res.status(400).json({ error: `actionId must be a string of at most ${MAX_ACTION_ID_LENGTH} characters` });
+    }
+
+    if (actionId && status === 'delivered') {
+      return res.status(400).json({ error: 'actionId can only be sent with opened or dismissed' });
+    }
+
+    // Only the recipient can acknowledge a notification
+    const updated = await updateNotificationStatus(id, status, new Date().toISOString(), {
+      fromStatuses: ACK_TRANSITIONS[status],
+      userId: user.id,
+      actionId
+    });
+
+    if (updated) {
+      console.log(`📬 Notification ${id} ${status} by user ${user.id}${actionId ? ` (action ${actionId})` : ''}`);
+
+      // Opening marks the notification read, so other devices' badges drop
+      if (status === 'opened') {
+        await notificationService.sendBadgeSync(user.id);
+      }
+    }
+
+    // Not updated: unknown id, someone else's notification, or already further
+    // along (e.g. opened) - all acknowledged the same so the app needn't retry
+    return res.status(200).json({
+      success: true,
+      updated
+    });
+
+  } catch (error) {
+    console.error('❌ Notification ack error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
@@ -1,4 +1,18 @@
 import { notificationService } from '../lib/notification-service.js';
+import {
+  getIdempotencyKey,
+  fingerprintRequest,
+  beginIdempotentRequest,
+  completeIdempotentRequest,
+  abandonIdempotentRequest
+} from '../lib/idempotency.js';
+
+// A send that was rate limited, hit a delivery error or couldn't be queued may
+// succeed when retried. Deliberate skips (type disabled, no tokens, expired)
+// are final answers.
+function isRetryableFailure(result) {
+  return !result.success && (result.reason === 'rate_limited' || Boolean(result.error));
+}
 
 // Main notification endpoint
 export default async function handler(req, res) {
@@ -6,7 +20,7 @@ export default async function handler(req, res) {
   res.setHeader('Access-Control-Allow-Credentials', true);
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, Idempotency-Key');
 
   if (req.method === 'OPTIONS') {
     return res.status(200).end();
@@ -16,6 +30,8 @@ export default async function handler(req, res) {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
+  let idempotencyKey = null;
+
   try {
     // Verify API key
     const apiKey = req.headers.authorization?.replace('Bearer ', '');
@@ -38,31 +54,85 @@ export default async function handler(req, res) {
       return res.status(400).json({ error: 'Provide either userId or userIds, not both' });
     }
 
+    if (userIds && (!Array.isArray(userIds) || userIds.length === 0)) {
+      return res.status(400).json({ error: 'userIds must be a non-empty array' });
+    }
+
+    if (userIds && userIds.length > 1000) {
+      return res.status(400).json({ error: 'Maximum 1000 users per request' });
+    }
+
+    const { key, error: keyError } = getIdempotencyKey(req);
+    if (keyError) {
+      return res.status(400).json({ error: keyError });
+    }
+
+    // A retried request with the same key gets the original response
+    const fingerprint = fingerprintRequest({ userId, userIds, type, data });
+    if (key) {
+      const previous = await beginIdempotentRequest('notify', key, fingerprint);
+
+      if (previous.state === 'completed') {
+        console.log(`🔁 Replaying response for idempotency key ${key}`);
+        res.setHeader('Idempotent-Replayed', 'true');
+        return res.status(previous.response.statusCode).json(previous.response.body);
+      }
+
+      if (previous.state === 'in_progress') {
+        return res.status(409).json({ error: 'A request with this idempotency key is still being processed' });
+      }
+
+      if (previous.state === 'mismatch') {
+        return res.status(422).json({ error: 'Idempotency key was already used for a different request' });
+      }
+
+      idempotencyKey = key;
+    }
+
     let result;
 
     if (userId) {
       // Single user notification
-      result = await notificationService.sendNotification(userId, type, data || {});
+      result = await notificationService.sendNotification(userId, type, data || {}, { idempotencyKey });
     } else {
       // Bulk notification
-      if (!Array.isArray(userIds) || userIds.length === 0) {
-        return res.status(400).json({ error: 'userIds must be a non-empty array' });
-      }
+      result = await notificationService.sendBulkNotification(userIds, type, data || {}, { idempotencyKey });
+    }
 
-      if (userIds.length > 1000) {
-        return res.status(400).json({ error: 'Maximum 1000 users per request' });
+    // Failures a retry could fix aren't stored, so the client can retry with the same key
+    const retryable = (userId ? [result] : result.details).filter(isRetryableFailure);
+    if (retryable.length > 0) {
+      if (idempotencyKey) {
+        await abandonIdempotentRequest('notify', idempotencyKey);
       }
 
-      result = await notificationService.sendBulkNotification(userIds, type, data || {});
+      const rateLimited = retryable.every(r => r.reason === 'rate_limited');
+      return res.status(rateLimited ? 429 : 503).json({
+        success: false,
+        error: rateLimited ? 'Rate limited' : 'Notification could not be sent',
+        result
+      });
     }
 
-    return res.status(200).json({
+    const responseBody = {
       success: true,
       result
-    });
+    };
+
+    if (idempotencyKey) {
+      await completeIdempotentRequest('notify', idempotencyKey, fingerprint, 200, responseBody);
+    }
+
+    return res.status(200).json(responseBody);
 
   } catch (error) {
     console.error('❌ Notification API error:', error);
+
+    // Unexpected failures aren't stored, so the client can retry with the same key
+    if (idempotencyKey) {
+      await abandonIdempotentRequest('notify', idempotencyKey);
+    }
+
     return res.status(500).json({
       success: false,
       error: 'Internal server error',
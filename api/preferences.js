@@ -0,0 +1,195 @@
+import {
+  getOrCreateNotificationPreferences,
+  updateNotificationPreferences,
+  DEFAULT_NOTIFICATION_PREFERENCES
+} from '../lib/supabase.js';
+import { getAuthenticatedUser } from '../lib/auth.js';
+import { PREFERENCE_CATEGORIES, NOTIFICATION_TEMPLATES } from '../lib/templates.js';
+import { isValidTimeZone, parseTimeOfDay } from '../lib/quiet-hours.js';
+import { isSupportedLocale, normalizeLocale, SUPPORTED_LOCALES } from '../lib/i18n.js';
+
+const BOOLEAN_FIELDS = [...PREFERENCE_CATEGORIES, 'batch_mode', 'quiet_hours_enabled'];
+const TIME_FIELDS = ['quiet_hours_start', 'quiet_hours_end'];
+const EDITABLE_FIELDS = [...BOOLEAN_FIELDS, ...TIME_FIELDS, 'timezone', 'locale', 'type_overrides'];
+
+// Notification preferences for the signed-in user
+// GET reads (creating defaults on first use), PUT replaces, PATCH updates some fields
+export default async function handler(req, res) {
+  // Set CORS headers
+  res.setHeader('Access-Control-Allow-Credentials', true);
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, PATCH, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (!['GET', 'PUT', 'PATCH'].includes(req.method)) {
+    res.setHeader('Allow', ['GET', 'PUT', 'PATCH']);
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Verify the user's Supabase access token
+    const user = await getAuthenticatedUser(req);
+    if (!user) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    const current = await getOrCreateNotificationPreferences(user.id);
+
+    if (req.method === 'GET') {
+      return res.status(200).json({
+        success: true,
+        preferences: serializePreferences(current)
+      });
+    }
+
+    // PUT is validated against the defaults it resets to, PATCH against the stored row
+    const base = req.method === 'PUT' ? DEFAULT_NOTIFICATION_PREFERENCES : current;
+    const { updates, errors } = validatePreferences(req.body || {}, base);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid notification preferences',
+        details: errors
+      });
+    }
+
+    // PUT replaces the whole document: fields left out go back to their defaults
+    const changes = req.method === 'PUT'
+      ? { ...DEFAULT_NOTIFICATION_PREFERENCES, ...updates }
+      : updates;
+
+    const updated = await updateNotificationPreferences(user.id, changes);
+
+    console.log(`✅ Notification preferences updated for user ${user.id}: ${Object.keys(updates).join(', ') || 'defaults'}`);
+
+    return res.status(200).json({
+      success: true,
+      preferences: serializePreferences(updated)
+    });
+
+  } catch (error) {
+    console.error('❌ Preferences API error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      message: error.message
+    });
+  }
+}
+
+// Validate a request body and turn it into column updates
+function validatePreferences(body, current) {
+  const updates = {};
+  const errors = [];
+
+  if (typeof body !== 'object' || Array.isArray(body)) {
+    return { updates, errors: ['Request body must be a JSON object'] };
+  }
+
+  const unknownFields = Object.keys(body).filter(field => !EDITABLE_FIELDS.includes(field));
+  if (unknownFields.length > 0) {
+    errors.push(`Unknown fields: ${unknownFields.join(', ')}`);
+  }
+
+  BOOLEAN_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    if (typeof body[field] !== 'boolean') {
+      errors.push(`${field} must be a boolean`);
+    } else {
+      updates[field] = body[field];
+    }
+  });
+
+  TIME_FIELDS.forEach(field => {
+    if (body[field] === undefined) return;
+    const minutes = parseTimeOfDay(body[field]);
+    if (minutes === null) {
+      errors.push(`${field} must be a time in HH:MM format`);
+    } else {
+      updates[field] = formatTimeOfDay(minutes);
+    }
+  });
+
+  if (body.timezone !== undefined) {
+    if (!isValidTimeZone(body.timezone)) {
+      errors.push('timezone must be an IANA timezone such as "America/New_York"');
+    } else {
+      updates.timezone = body.timezone;
+    }
+  }
+
+  // Regional locales ('es-MX') are kept for number formatting; messages come
+  // from the language's catalog
+  if (body.locale !== undefined) {
+    if (!isSupportedLocale(body.locale)) {
+      errors.push(`locale must be a language tag for one of: ${SUPPORTED_LOCALES.join(', ')}`);
+    } else {
+      updates.locale = normalizeLocale(body.locale);
+    }
+  }
+
+  if (body.type_overrides !== undefined) {
+    const overrides = body.type_overrides;
+
+    if (overrides === null || typeof overrides !== 'object' || Array.isArray(overrides)) {
+      errors.push('type_overrides must be an object of notification type to boolean');
+    } else {
+      // Overrides are merged into the existing ones; null clears an override
+      const merged = { ...(current.type_overrides || {}) };
+
+      Object.entries(overrides).forEach(([type, enabled]) => {
+        if (!NOTIFICATION_TEMPLATES[type]) {
+          errors.push(`type_overrides: unknown notification type "${type}"`);
+        } else if (enabled === null) {
+          delete merged[type];
+        } else if (typeof enabled !== 'boolean') {
+          errors.push(`type_overrides.${type} must be a boolean or null`);
+        } else {
+          merged[type] = enabled;
+        }
+      });
+
+      updates.type_overrides = merged;
+    }
+  }
+
+  // Quiet hours need a non-empty window
+  const start = updates.quiet_hours_start ?? current.quiet_hours_start;
+  const end = updates.quiet_hours_end ?? current.quiet_hours_end;
+  const enabled = updates.quiet_hours_enabled ?? current.quiet_hours_enabled;
+  if (enabled && parseTimeOfDay(start) === parseTimeOfDay(end)) {
+    errors.push('quiet_hours_start and quiet_hours_end must differ');
+  }
+
+  return { updates, errors };
+}
+
+function formatTimeOfDay(minutes) {
+  const hours = String(Math.floor(minutes / 60)).padStart(2, '0');
+  const mins = String(minutes % 60).padStart(2, '0');
+  return `${hours}:${mins}`;
+}
+
+// Only expose the fields the app can edit, with Postgres TIME values as HH:MM
+function serializePreferences(preferences) {
+  const serialized = {};
+
+  EDITABLE_FIELDS.forEach(field => {
+    serialized[field] = preferences[field] ?? DEFAULT_NOTIFICATION_PREFERENCES[field];
+  });
+
+  TIME_FIELDS.forEach(field => {
+    const minutes = parseTimeOfDay(serialized[field]);
+    if (minutes !== null) {
+      serialized[field] = formatTimeOfDay(minutes);
+    }
+  });
+
+  serialized.updated_at = preferences.updated_at || null;
+  return serialized;
+}
@@ -0,0 +1,108 @@
+import { processWebhookQueue } from './cron/process-webhooks.js';
+import { processNotificationQueue } from './cron/process-queue.js';
+import { cleanupInvalidTokens } from './cron/cleanup-tokens.js';
+import { scheduleEventReminders } from '../lib/event-reminders.js';
+import { processExpoReceipts } from '../lib/expo-receipts.js';
+import { notificationService } from '../lib/notification-service.js';
+
+// Functions are capped at 10s (vercel.json maxDuration); leave headroom to respond
+const TIME_BUDGET_MS = 8000;
+
+// Don't start a task with less than this left in the budget
+const MIN_TASK_MS = 500;
+
+// Tasks run when the caller doesn't name any (cleanup is daily work, ask for
+// it). Reminders and receipts have no other trigger, so they run by default;
+// every task stops at the shared deadline and later ones are skipped.
+const DEFAULT_TASKS = ['webhooks', 'queue', 'reminders', 'receipts'];
+
+// Named background tasks. Each receives { deadline } and should stop taking on
+// new work once Date.now() passes it.
+const TASKS = {
+  webhooks: async (options) => ({
+    processed: await processWebhookQueue(options)
+  }),
+
+  queue: async (options) => ({
+    processed: await processNotificationQueue(options),
+    flushedBatches: await notificationService.flushDueBatches(options)
+  }),
+
+  reminders: async (options) => await scheduleEventReminders(options),
+
+  receipts: async (options) => await processExpoReceipts(options),
+
+  cleanup: async (options) => await cleanupInvalidTokens(options)
+};
+
+// Run background tasks on demand - for Vercel cron and external pingers
+// GET  /api/process-all?tasks=webhooks,queue
+// POST /api/process-all { "tasks": ["webhooks", "queue"] }
+export default async function handler(req, res) {
+  if (!['GET', 'POST'].includes(req.method)) {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Accept the cron secret (Vercel cron) or the API key (external triggers)
+  const token = req.headers.authorization?.replace('Bearer ', '');
+  const allowedTokens = [process.env.CRON_SECRET, process.env.API_SECRET_KEY].filter(Boolean);
+  if (!token || !allowedTokens.includes(token)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  const startTime = Date.now();
+  const deadline = startTime + TIME_BUDGET_MS;
+
+  const tasks = parseTasks(req);
+  const unknownTasks = tasks.filter(task => !TASKS[task]);
+  if (unknownTasks.length > 0) {
+    return res.status(400).json({
+      error: `Unknown tasks: ${unknownTasks.join(', ')}`,
+      available_tasks: Object.keys(TASKS)
+    });
+  }
+
+  console.log(`⚙️ Running background tasks: ${tasks.join(', ')}`);
+
+  const results = {};
+  for (const task of tasks) {
+    if (deadline - Date.now() < MIN_TASK_MS) {
+      results[task] = { status: 'skipped', reason: 'time_budget_exhausted' };
+      continue;
+    }
+
+    const taskStart = Date.now();
+    try {
+      const result = await TASKS[task]({ deadline });
+      results[task] = { status: 'ok', duration_ms: Date.now() - taskStart, ...result };
+    } catch (error) {
+      console.error(`❌ Background task ${task} failed:`, error);
+      results[task] = { status: 'error', duration_ms: Date.now() - taskStart, error: error.message };
+    }
+  }
+
+  const failed = Object.values(results).some(r => r.status === 'error');
+  console.log(`✅ Background tasks finished in ${Date.now() - startTime}ms`);
+
+  return res.status(failed ? 500 : 200).json({
+    success: !failed,
+    results,
+    duration_ms: Date.now() - startTime,
+    timestamp: new Date().toISOString()
+  });
+}
+
+// Tasks from the POST body or a comma-separated ?tasks= query, deduplicated
+function parseTasks(req) {
+  let tasks = req.body?.tasks ?? req.query?.tasks;
+
+  if (typeof tasks === 'string') {
+    tasks = tasks.split(',');
+  }
+
+  if (!Array.isArray(tasks) || tasks.length === 0) {
+    return DEFAULT_TASKS;
+  }
+
+  return [...new Set(tasks.map(task => String(task).trim()).filter(Boolean))];
+}
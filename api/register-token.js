@@ -1,6 +1,5 @@
 import { storePushToken } from '../lib/supabase.js';
-import { validateFCMToken } from '../lib/fcm.js';
-import { validateAPNSToken } from '../lib/apns.js';
+import { getPushProvider } from '../lib/push-providers.js';
 
 // Register push token endpoint
 export default async function handler(req, res) {
@@ -25,46 +24,48 @@ export default async function handler(req, res) {
       return res.status(401).json({ error: 'Unauthorized' });
     }
 
-    const { userId, token, expoToken, deviceToken, platform, deviceId, tokenType } = req.body;
+    const { userId, token, expoToken, deviceToken, subscription, platform, deviceId, tokenType } = req.body;
+
+    if (!['android', 'ios', 'web'].includes(platform)) {
+      return res.status(400).json({ 
+        error: 'Platform must be "android", "ios" or "web"' 
+      });
+    }
+
+    // Browsers register a Push API subscription; its endpoint is the token
+    const isWeb = platform === 'web';
 
     // Validate input
-    if (!userId || (!token && !expoToken && !deviceToken) || !platform || !deviceId) {
+    if (!userId || !deviceId || (isWeb ? !subscription?.endpoint : (!token && !expoToken && !deviceToken))) {
       return res.status(400).json({ 
-        error: 'userId, at least one token (token/expoToken/deviceToken), platform, and deviceId are required' 
+        error: isWeb
+          ? 'userId, subscription ({ endpoint, keys: { p256dh, auth } }) and deviceId are required for web'
+          : 'userId, at least one token (token/expoToken/deviceToken), platform, and deviceId are required' 
       });
     }
     
     // Determine which token to use
-    const primaryToken = token || deviceToken || expoToken;
+    const primaryToken = isWeb ? subscription.endpoint : (token || deviceToken || expoToken);
+    const resolvedTokenType = tokenType || (isWeb ? 'web_push' : deviceToken ? 'fcm_v1' : 'expo');
 
-    if (!['android', 'ios'].includes(platform)) {
-      return res.status(400).json({ 
-        error: 'Platform must be either "android" or "ios"' 
+    // Validate token with the provider that will deliver to it
+    const validatedToken = isWeb || primaryToken.startsWith('ExponentPushToken') ? primaryToken : (deviceToken || primaryToken);
+    const tokenRecord = {
+      token: validatedToken,
+      platform,
+      web_push_p256dh: subscription?.keys?.p256dh,
+      web_push_auth: subscription?.keys?.auth
+    };
+    const provider = getPushProvider(tokenRecord);
+    if (!provider) {
+      return res.status(400).json({
+        success: false,
+        error: 'No push provider for this token and platform'
       });
     }
 
-    // Validate token with respective service
-    let validation = { valid: true };
-    
-    // Check if it's an Expo token first
-    if (primaryToken.startsWith('ExponentPushToken')) {
-      // Expo tokens are already validated by Expo's service
-      // We just do a basic format check
-      validation = { valid: true };
-      console.log('📱 Expo push token detected, skipping validation');
-    } else if (deviceToken) {
-      // Device tokens are for FCM V1 API
-      console.log(`📱 Device token detected for ${platform}, type: ${tokenType || 'fcm_v1'}`);
-      if (platform === 'android') {
-        validation = await validateFCMToken(deviceToken);
-      } else {
-        validation = await validateAPNSToken(deviceToken);
-      }
-    } else if (platform === 'android') {
-      validation = await validateFCMToken(primaryToken);
-    } else {
-      validation = await validateAPNSToken(primaryToken);
-    }
+    console.log(`📱 ${provider.name} token detected for ${platform}, type: ${resolvedTokenType}`);
+    const validation = await provider.validate(validatedToken, tokenRecord);
 
     if (!validation.valid) {
       return res.status(400).json({
@@ -78,7 +79,8 @@ export default async function handler(req, res) {
     const stored = await storePushToken(userId, primaryToken, platform, deviceId, {
       expoToken,
       deviceToken,
-      tokenType: tokenType || (deviceToken ? 'fcm_v1' : 'expo')
+      tokenType: resolvedTokenType,
+      webPushKeys: isWeb ? subscription.keys : null
     });
 
     if (!stored) {
@@ -88,7 +90,7 @@ export default async function handler(req, res) {
       });
     }
 
-    console.log(`✅ Push token registered for user ${userId} on ${platform} (type: ${tokenType || 'expo'})`);
+    console.log(`✅ Push token registered for user ${userId} on ${platform} (type: ${resolvedTokenType})`);
     if (deviceToken) {
       console.log('   Device token available for FCM V1 API');
     }
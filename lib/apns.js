@@ -42,9 +42,8 @@ export async function sendAPNSNotification(token, notification, data = {}) {
     note.title = notification.title;
     note.body = notification.body;
     note.sound = 'default';
-    note.badge = 1;
-    note.category = getCategoryId(notification.type);
-    note.threadId = getThreadId(notification.type);
+    note.badge = notification.badge;
+    applyPresentation(note, notification);
     
     // Set priority
     note.priority = 10; // High priority
@@ -62,8 +61,7 @@ export async function sendAPNSNotification(token, notification, data = {}) {
       note.payload.imageUrl = notification.imageUrl;
     }
 
-    // Configure expiry (7 days)
-    note.expiry = Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60);
+    note.expiry = getExpiry(notification);
 
     const result = await provider.send(note, token);
     
@@ -106,13 +104,18 @@ export async function sendBatchAPNSNotifications(tokens, notification, data = {}
       
       const note = new apn.Notification();
       note.topic = process.env.APNS_BUNDLE_ID;
-      note.title = notification.title;
-      note.body = notification.body;
-      note.sound = 'default';
-      note.badge = 1;
-      note.category = getCategoryId(notification.type);
-      note.threadId = getThreadId(notification.type);
-      note.priority = 10;
+      note.badge = notification.badge;
+
+      if (notification.silent) {
+        // Badge-only update: no alert or sound, delivered at low priority
+        note.priority = 5;
+      } else {
+        note.title = notification.title;
+        note.body = notification.body;
+        note.sound = 'default';
+        applyPresentation(note, notification);
+        note.priority = 10;
+      }
       
       note.payload = {
         ...data,
@@ -125,7 +128,7 @@ export async function sendBatchAPNSNotifications(tokens, notification, data = {}
         note.payload.imageUrl = notification.imageUrl;
       }
 
-      note.expiry = Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60);
+      note.expiry = getExpiry(notification);
 
       const result = await provider.send(note, batch);
       
@@ -138,13 +141,10 @@ export async function sendBatchAPNSNotifications(tokens, notification, data = {}
         failed: result.failed || [],
       });
 
-      // Handle failed tokens
+      // Failed tokens are deactivated or counted by the notification service
       if (result.failed && result.failed.length > 0) {
         result.failed.forEach((failure) => {
-          if (failure.error === 'BadDeviceToken' || failure.error === 'Unregistered') {
-            console.log(`APNs token to deactivate: ${failure.device}`);
-            // TODO: Deactivate token in database
-          }
+          console.log(`APNs delivery failed for ${failure.device}:`, failure.response?.reason || failure.error);
         });
       }
 
@@ -162,33 +162,33 @@ export async function sendBatchAPNSNotifications(tokens, notification, data = {}
   }
 }
 
-function getCategoryId(notificationType) {
-  const categoryMap = {
-    'photo_liked': 'PHOTO_INTERACTION',
-    'gallery_unlocked': 'COMMUNITY_UPDATE',
-    'community_milestone': 'COMMUNITY_UPDATE',
-    'event_live': 'EVENT_UPDATE',
-    'event_starting': 'EVENT_UPDATE',
-    'event_reminder': 'EVENT_REMINDER',
-    'peak_activity': 'ACTIVITY_UPDATE',
-  };
-
-  return categoryMap[notificationType] || 'GENERAL';
+// Expiry (epoch seconds) from the template's TTL, 7 days when there is none.
+// APNs drops the notification instead of delivering it after this.
+function getExpiry(notification) {
+  if (notification.expiresAt) {
+    return Math.floor(new Date(notification.expiresAt).getTime() / 1000);
+  }
+  return Math.floor(Date.now() / 1000) + (7 * 24 * 60 * 60);
 }
 
-function getThreadId(notificationType) {
-  // Group related notifications together
-  const threadMap = {
-    'photo_liked': 'photo-interactions',
-    'gallery_unlocked': 'community-updates',
-    'community_milestone': 'community-updates',
-    'event_live': 'event-updates',
-    'event_starting': 'event-updates',
-    'event_reminder': 'event-reminders',
-    'peak_activity': 'activity-updates',
-  };
-
-  return threadMap[notificationType] || 'general';
+// Action category, thread, collapse id and iOS 15+ presentation declared by the template
+function applyPresentation(note, notification) {
+  if (notification.actionCategory) {
+    note.category = notification.actionCategory;
+  }
+  if (notification.threadId) {
+    note.threadId = notification.threadId;
+  }
+  if (notification.interruptionLevel) {
+    note.aps['interruption-level'] = notification.interruptionLevel;
+  }
+  if (typeof notification.relevanceScore === 'number') {
+    note.aps['relevance-score'] = notification.relevanceScore;
+  }
+  // Sent as apns-collapse-id: replaces the earlier notification with this key
+  if (notification.collapseKey) {
+    note.collapseId = notification.collapseKey;
+  }
 }
 
 export async function validateAPNSToken(token) {
@@ -0,0 +1,26 @@
+import { supabase } from './supabase.js';
+
+// Resolve the Supabase user behind `Authorization: Bearer <access token>`.
+// Used by endpoints the mobile app calls on behalf of the signed-in user;
+// returns null when the header is missing or the token doesn't verify.
+export async function getAuthenticatedUser(req) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    return null;
+  }
+
+  try {
+    const token = authHeader.replace('Bearer ', '');
+    const { data: { user }, error } = await supabase.auth.getUser(token);
+
+    if (error) {
+      console.warn('Auth token verification failed:', error.message);
+      return null;
+    }
+
+    return user;
+  } catch (error) {
+    console.warn('Auth error:', error.message);
+    return null;
+  }
+}
@@ -0,0 +1,311 @@
+/**
+ * Database Event Handlers
+ * Routes Supabase database changes to notifications
+ *
+ * Used by both /api/webhook (direct triggers) and the webhook_queue processor,
+ * so a change is handled the same way however it arrives. Handlers are looked
+ * up by '<table>.<operation>'; add a new trigger by adding an entry to
+ * EVENT_HANDLERS. Handlers throw on failure so queued payloads are retried.
+ */
+
+import { supabase } from './supabase.js';
+import { setIfNotExists, deleteCachedData } from './redis.js';
+import { getPhotoLikeTier } from './templates.js';
+import {
+  notifyPhotoLiked,
+  notifyEventLive,
+  notifyCommunityMilestone,
+  notifyPeakActivity
+} from './notification-service.js';
+
+// Milestone notifications at 50, 100, 250, 500, 1000 photos
+const PHOTO_MILESTONES = [50, 100, 250, 500, 1000];
+
+// Peak activity: every 10th photo within the last hour
+const PEAK_ACTIVITY_STEP = 10;
+
+// Each milestone is announced once per event, and each peak activity count
+// once within the hour it covers
+const PHOTO_MILESTONE_TTL_SECONDS = 30 * 24 * 60 * 60;
+const PEAK_ACTIVITY_DEDUPE_SECONDS = 60 * 60;
+
+// A liker is announced at most once per photo within this window, so
+// unlike/re-like doesn't ping the owner again
+const PHOTO_LIKE_DEDUPE_SECONDS = 24 * 60 * 60;
+
+// Each like threshold is announced once per photo
+const PHOTO_LIKE_TIER_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+export const EVENT_HANDLERS = {
+  'photo_likes.INSERT': handlePhotoLiked,
+  'events.UPDATE': handleEventUpdated,
+  'photos.INSERT': handleNewPhoto
+};
+
+/**
+ * Handle a Supabase database change payload ({ table, type, record, old_record })
+ * Returns false when no handler is registered for the table and operation
+ */
+export async function handleDatabaseEvent(payload) {
+  const { table, type, record, old_record } = payload || {};
+  const handler = EVENT_HANDLERS[`${table}.${type}`];
+
+  if (!handler) {
+    console.log(`⚠️ Unhandled database event: ${table}.${type}`);
+    return false;
+  }
+
+  if (!record) {
+    throw new Error(`Missing record for ${table}.${type} event`);
+  }
+
+  await handler(record, old_record);
+  return true;
+}
+
+async function handlePhotoLiked(record) {
+  // Get photo details
+  const { data: photo, error } = await supabase
+    .from('photos')
+    .select('user_id, event_id')
+    .eq('id', record.photo_id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!photo) return;
+
+  // Owners aren't told about liking their own photo
+  if (record.user_id && record.user_id === photo.user_id) {
+    console.log(`⏸️ Skipping self-like on photo ${record.photo_id}`);
+    return;
+  }
+
+  // Only the first like from each liker counts within the dedupe window
+  const claimedKeys = [];
+  if (record.user_id) {
+    const likeKey = `photo_like_notified:${record.photo_id}:${record.user_id}`;
+    const firstLike = await setIfNotExists(
+      likeKey,
+      { liked_at: record.created_at || new Date().toISOString() },
+      PHOTO_LIKE_DEDUPE_SECONDS
+    );
+
+    if (firstLike === false) {
+      console.log(`⏸️ Already notified about ${record.user_id} liking photo ${record.photo_id}`);
+      return;
+    }
+    claimedKeys.push(likeKey);
+  }
+
+  let result;
+  try {
+    // Get current like count
+    const { count: likeCount, error: countError } = await supabase
+      .from('photo_likes')
+      .select('*', { count: 'exact', head: true })
+      .eq('photo_id', record.photo_id);
+
+    if (countError) throw countError;
+
+    if (!(await shouldAnnounceLikeCount(record.photo_id, likeCount))) {
+      return;
+    }
+
+    const tier = getPhotoLikeTier(likeCount || 0);
+    if (tier > 0) {
+      claimedKeys.push(getLikeTierDedupeKey(record.photo_id, tier));
+    }
+
+    const eventName = await getEventName(photo.event_id);
+
+    // Send notification to photo owner
+    result = await notifyPhotoLiked(
+      photo.user_id,
+      record.photo_id,
+      photo.event_id,
+      likeCount,
+      eventName
+    );
+  } catch (error) {
+    await releaseDedupeKeys(claimedKeys);
+    throw error;
+  }
+
+  // Nothing was sent, so the retried payload or the next like may announce it
+  if (!result.success) {
+    await releaseDedupeKeys(claimedKeys);
+
+    if (result.error) {
+      throw new Error(`Failed to notify photo like: ${result.error}`);
+    }
+  }
+}
+
+async function handleEventUpdated(record, old_record) {
+  if (!checkIfEventGoingLive(record, old_record)) return;
+
+  const userIds = await getAcceptedParticipantIds(record.id);
+  if (userIds.length === 0) return;
+
+  await notifyEventLive(userIds, record.id, record.name);
+}
+
+// The milestone and peak activity announcements are claimed separately, so a
+// retried payload only redoes the one that failed
+async function handleNewPhoto(record) {
+  // Check if this photo triggers a milestone
+  const { count: totalPhotos, error: totalError } = await supabase
+    .from('photos')
+    .select('*', { count: 'exact', head: true })
+    .eq('event_id', record.event_id);
+
+  if (totalError) throw totalError;
+
+  if (PHOTO_MILESTONES.includes(totalPhotos)) {
+    await notifyOnce(`milestone:${record.event_id}:${totalPhotos}`, PHOTO_MILESTONE_TTL_SECONDS, async () => {
+      const userIds = await getAcceptedParticipantIds(record.event_id);
+
+      if (userIds.length > 0) {
+        await notifyCommunityMilestone(
+          userIds,
+          record.event_id,
+          await getEventName(record.event_id),
+          totalPhotos
+        );
+      }
+    });
+  }
+
+  // Check for peak activity (10+ photos in last hour)
+  const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+  const { count: recentPhotos, error: recentError } = await supabase
+    .from('photos')
+    .select('*', { count: 'exact', head: true })
+    .eq('event_id', record.event_id)
+    .gte('created_at', oneHourAgo);
+
+  if (recentError) throw recentError;
+
+  if (recentPhotos >= PEAK_ACTIVITY_STEP && recentPhotos % PEAK_ACTIVITY_STEP === 0) {
+    await notifyOnce(`peak_activity:${record.event_id}:${recentPhotos}`, PEAK_ACTIVITY_DEDUPE_SECONDS, async () => {
+      const userIds = await getAcceptedParticipantIds(record.event_id);
+
+      if (userIds.length > 0) {
+        await notifyPeakActivity(
+          userIds,
+          record.event_id,
+          await getEventName(record.event_id),
+          recentPhotos
+        );
+      }
+    });
+  }
+}
+
+// Run a fan-out unless its dedupe key was already claimed. The key is
+// released if the fan-out throws, so a retry sends it; without Redis it
+// always runs.
+async function notifyOnce(dedupeKey, ttlSeconds, send) {
+  const claimed = await setIfNotExists(dedupeKey, { claimed_at: new Date().toISOString() }, ttlSeconds);
+  if (claimed === false) {
+    console.log(`⏸️ Already announced ${dedupeKey}`);
+    return;
+  }
+
+  try {
+    await send();
+  } catch (error) {
+    if (claimed) {
+      await releaseDedupeKeys([dedupeKey]);
+    }
+    throw error;
+  }
+}
+
+// Below the first like threshold every like is announced; above it only the
+// first time each threshold is reached (counts can drop back and rise again)
+async function shouldAnnounceLikeCount(photoId, likeCount) {
+  const tier = getPhotoLikeTier(likeCount || 0);
+  if (tier === 0) return true;
+
+  const firstAtTier = await setIfNotExists(
+    getLikeTierDedupeKey(photoId, tier),
+    { like_count: likeCount, reached_at: new Date().toISOString() },
+    PHOTO_LIKE_TIER_TTL_SECONDS
+  );
+
+  // Without Redis, fall back to announcing exact threshold counts
+  if (firstAtTier === null) {
+    return likeCount === tier;
+  }
+
+  if (!firstAtTier) {
+    console.log(`⏸️ Photo ${photoId} already announced at ${tier} likes`);
+  }
+  return firstAtTier;
+}
+
+// Redis key marking a photo's like threshold as announced
+function getLikeTierDedupeKey(photoId, tier) {
+  return `photo_like_tier:${photoId}:${tier}`;
+}
+
+// Release dedupe keys claimed for a notification that wasn't sent
+async function releaseDedupeKeys(keys) {
+  await Promise.all(keys.map(key => deleteCachedData(key)));
+}
+
+// Detect an event going live. The status column varies between schemas, so
+// common column names are checked, as is start_time being moved to now.
+export function checkIfEventGoingLive(record, old_record) {
+  const statusColumns = ['status', 'state', 'is_live', 'active', 'is_active'];
+
+  for (const column of statusColumns) {
+    if (Object.hasOwn(record, column) && old_record && Object.hasOwn(old_record, column)) {
+      const newValue = record[column];
+      const oldValue = old_record[column];
+
+      // Check for status change to 'live', 'active', true, etc.
+      if (newValue !== oldValue && (newValue === 'live' || newValue === 'active' || newValue === true)) {
+        console.log(`Event going live detected: ${column} changed from ${oldValue} to ${newValue}`);
+        return true;
+      }
+    }
+  }
+
+  // If start_time changed and the new start_time is within 5 minutes of now
+  if (record.start_time && old_record?.start_time) {
+    const newStartTime = new Date(record.start_time).getTime();
+    const oldStartTime = new Date(old_record.start_time).getTime();
+
+    if (newStartTime !== oldStartTime && Math.abs(Date.now() - newStartTime) < 5 * 60 * 1000) {
+      console.log(`Event starting now detected: start_time updated to ${record.start_time}`);
+      return true;
+    }
+  }
+
+  return false;
+}
+
+async function getAcceptedParticipantIds(eventId) {
+  const { data: participants, error } = await supabase
+    .from('event_participants')
+    .select('user_id')
+    .eq('event_id', eventId)
+    .eq('status', 'accepted');
+
+  if (error) throw error;
+  return (participants || []).map(p => p.user_id);
+}
+
+// Undefined for an unnamed event, so the template's localized "your event" applies
+async function getEventName(eventId) {
+  const { data: event, error } = await supabase
+    .from('events')
+    .select('name')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (error) throw error;
+  return event?.name || undefined;
+}
@@ -0,0 +1,238 @@
+/**
+ * Event Reminder Scheduler
+ * Queues event_reminder and event_starting notifications for accepted participants
+ *
+ * Reminders are queued shortly before they are due (SCAN_AHEAD_MINUTES) with a
+ * dedupe key per event, participant and reminder, so every scan can re-queue
+ * freely without sending anything twice. Pending reminders follow start_time
+ * edits; pending reminders for events that moved out of range, already started
+ * or lost the participant are removed. A reminder that has been sent is never
+ * sent again for that event.
+ */
+
+import { supabase } from './supabase.js';
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+
+// How far ahead of its send time a reminder is queued. Scans should run at
+// least this often (e.g. the process-all `reminders` task every 5-15 minutes).
+const SCAN_AHEAD_MINUTES = 30;
+
+// Reminders per event, longest lead time first
+const REMINDERS = [
+  {
+    type: 'event_reminder',
+    priority: 'medium',
+    leadMs: (parseInt(process.env.EVENT_REMINDER_HOURS, 10) || 1) * HOUR_MS
+  },
+  {
+    type: 'event_starting',
+    priority: 'high',
+    leadMs: 15 * MINUTE_MS
+  }
+];
+
+const REMINDER_TYPES = REMINDERS.map(reminder => reminder.type);
+
+export function getReminderDedupeKey(type, eventId, userId) {
+  return `${type}:${eventId}:${userId}`;
+}
+
+// Queue due reminders for upcoming events. Stops at `deadline` (ms timestamp);
+// stale reminders are only cleaned up after a complete scan.
+export async function scheduleEventReminders({ deadline = null } = {}) {
+  const results = {
+    events: 0,
+    queued: 0,
+    rescheduled: 0,
+    removed: 0,
+    complete: false
+  };
+
+  const now = Date.now();
+  const scanUntil = now + SCAN_AHEAD_MINUTES * MINUTE_MS;
+  const longestLeadMs = Math.max(...REMINDERS.map(reminder => reminder.leadMs));
+
+  const { data: events, error } = await supabase
+    .from('events')
+    .select('id, name, start_time')
+    .gt('start_time', new Date(now).toISOString())
+    .lte('start_time', new Date(scanUntil + longestLeadMs).toISOString())
+    .order('start_time', { ascending: true });
+
+  if (error) {
+    throw error;
+  }
+
+  results.events = events?.length || 0;
+  const participantsByEvent = await getAcceptedParticipants((events || []).map(event => event.id));
+
+  // Dedupe keys of every reminder that should currently be pending
+  const dueKeys = new Set();
+
+  for (const event of events || []) {
+    if (deadline && Date.now() >= deadline) {
+      console.log(`⏱️ Time budget reached, ${results.queued} reminders queued so far`);
+      return results;
+    }
+
+    const userIds = participantsByEvent.get(event.id) || [];
+    if (userIds.length === 0) continue;
+
+    const startTime = new Date(event.start_time).getTime();
+
+    for (const reminder of getDueReminders(startTime, now, scanUntil)) {
+      const rows = userIds.map(userId => ({
+        user_id: userId,
+        notification_type: reminder.type,
+        data: reminder.data(event),
+        priority: reminder.priority,
+        status: 'pending',
+        scheduled_for: reminder.scheduledFor,
+        dedupe_key: getReminderDedupeKey(reminder.type, event.id, userId),
+        created_at: new Date().toISOString()
+      }));
+      const keys = rows.map(row => row.dedupe_key);
+      keys.forEach(key => dueKeys.add(key));
+
+      const { queued, rescheduled } = await upsertReminders(rows, reminder.scheduledFor);
+      results.queued += queued;
+      results.rescheduled += rescheduled;
+    }
+  }
+
+  results.removed = await removeStaleReminders(dueKeys);
+  results.complete = true;
+
+  console.log(`📅 Reminders: ${results.queued} queued, ${results.rescheduled} rescheduled, ${results.removed} removed across ${results.events} events`);
+  return results;
+}
+
+// Reminders for an event whose send time falls before `scanUntil`, each with
+// the time it goes out and its template data. A reminder that is already late
+// still goes out now, unless the next shorter reminder is due by then.
+function getDueReminders(startTime, now, scanUntil) {
+  const due = [];
+
+  REMINDERS.forEach((reminder, index) => {
+    const sendAt = startTime - reminder.leadMs;
+    if (sendAt > scanUntil) return;
+
+    const scheduledFor = Math.max(sendAt, now);
+    const nextReminder = REMINDERS[index + 1];
+    if (nextReminder && startTime - scheduledFor <= nextReminder.leadMs) return;
+
+    const msUntilStart = startTime - scheduledFor;
+
+    due.push({
+      type: reminder.type,
+      priority: reminder.priority,
+      scheduledFor: new Date(scheduledFor).toISOString(),
+      data: (event) => ({
+        eventId: event.id,
+        // Unnamed events get the template's localized "your event"
+        eventName: event.name || undefined,
+        startTime: event.start_time,
+        ...(reminder.type === 'event_reminder'
+          ? { hoursUntilStart: Math.max(1, Math.round(msUntilStart / HOUR_MS)) }
+          : { minutesUntilStart: Math.max(1, Math.round(msUntilStart / MINUTE_MS)) })
+      })
+    });
+  });
+
+  return due;
+}
+
+async function getAcceptedParticipants(eventIds) {
+  const participantsByEvent = new Map();
+  if (eventIds.length === 0) return participantsByEvent;
+
+  const { data: participants, error } = await supabase
+    .from('event_participants')
+    .select('event_id, user_id')
+    .in('event_id', eventIds)
+    .eq('status', 'accepted');
+
+  if (error) {
+    throw error;
+  }
+
+  (participants || []).forEach(({ event_id, user_id }) => {
+    const userIds = participantsByEvent.get(event_id) || [];
+    userIds.push(user_id);
+    participantsByEvent.set(event_id, userIds);
+  });
+
+  return participantsByEvent;
+}
+
+// Insert reminders that aren't queued yet, then move still-pending ones to the
+// current send time (start_time may have been edited since they were queued)
+async function upsertReminders(rows, scheduledFor) {
+  const { data: inserted, error: insertError } = await supabase
+    .from('notification_queue')
+    .upsert(rows, { onConflict: 'dedupe_key', ignoreDuplicates: true })
+    .select('id');
+
+  if (insertError) {
+    throw insertError;
+  }
+
+  const { data: rescheduled, error: updateError } = await supabase
+    .from('notification_queue')
+    .update({ scheduled_for: scheduledFor, data: rows[0].data })
+    .in('dedupe_key', rows.map(row => row.dedupe_key))
+    .eq('status', 'pending')
+    .neq('scheduled_for', scheduledFor)
+    .select('id');
+
+  if (updateError) {
+    throw updateError;
+  }
+
+  return {
+    queued: inserted?.length || 0,
+    rescheduled: rescheduled?.length || 0
+  };
+}
+
+// Delete pending reminders that are no longer due: the event moved later, has
+// started or was deleted, or the user stopped participating. Deleting (rather
+// than cancelling) frees the dedupe key so the reminder can be queued again.
+// Only rows queued here are touched: reminders deferred from /api/notify carry
+// notify:... dedupe keys and are never in `dueKeys`.
+async function removeStaleReminders(dueKeys) {
+  const staleIds = [];
+
+  for (const type of REMINDER_TYPES) {
+    const { data: pending, error } = await supabase
+      .from('notification_queue')
+      .select('id, dedupe_key')
+      .eq('notification_type', type)
+      .eq('status', 'pending')
+      .like('dedupe_key', getReminderDedupeKey(type, '%', '%'));
+
+    if (error) {
+      throw error;
+    }
+
+    (pending || [])
+      .filter(row => !dueKeys.has(row.dedupe_key))
+      .forEach(row => staleIds.push(row.id));
+  }
+
+  if (staleIds.length === 0) return 0;
+
+  const { error: deleteError } = await supabase
+    .from('notification_queue')
+    .delete()
+    .in('id', staleIds)
+    .eq('status', 'pending');
+
+  if (deleteError) {
+    throw deleteError;
+  }
+
+  return staleIds.length;
+}
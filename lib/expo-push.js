@@ -31,17 +31,21 @@ export async function sendExpoPushNotification(token, notification, data = {}) {
       data: {
         ...data,
         type: notification.type,
+        threadId: notification.threadId,
+        collapseKey: notification.collapseKey,
         timestamp: new Date().toISOString()
       },
-      badge: 1,
+      badge: notification.badge,
       channelId: getChannelId(notification.type),
       priority: getPriority(notification.type),
-      categoryId: getCategoryId(notification.type)
+      ...getPresentationFields(notification)
     };
 
-    // Add image if provided
+    // Add image if provided. Expo takes it as richContent; iOS needs
+    // mutableContent so the notification service extension can attach it.
     if (notification.imageUrl) {
-      message.image = notification.imageUrl;
+      message.richContent = { image: notification.imageUrl };
+      message.mutableContent = true;
     }
 
     // Create chunks of push notifications (Expo recommends max 100 per chunk)
@@ -121,23 +125,37 @@ export async function sendBatchExpoPushNotifications(tokens, notification, data
       };
     }
 
-    // Create messages for all valid tokens
-    const messages = validTokens.map(token => ({
-      to: token,
-      sound: 'default',
-      title: notification.title,
-      body: notification.body,
-      data: {
-        ...data,
-        type: notification.type,
-        timestamp: new Date().toISOString()
-      },
-      badge: 1,
-      channelId: getChannelId(notification.type),
-      priority: getPriority(notification.type),
-      categoryId: getCategoryId(notification.type),
-      image: notification.imageUrl || undefined
-    }));
+    const messageData = {
+      ...data,
+      type: notification.type,
+      threadId: notification.threadId,
+      collapseKey: notification.collapseKey,
+      timestamp: new Date().toISOString()
+    };
+
+    // Create messages for all valid tokens. Silent notifications (badge sync)
+    // carry no alert or sound, only the badge and data.
+    const messages = validTokens.map(token => notification.silent
+      ? {
+        to: token,
+        data: messageData,
+        badge: notification.badge,
+        priority: 'normal',
+        _contentAvailable: true
+      }
+      : {
+        to: token,
+        sound: 'default',
+        title: notification.title,
+        body: notification.body,
+        data: messageData,
+        badge: notification.badge,
+        channelId: getChannelId(notification.type),
+        priority: getPriority(notification.type),
+        ...getPresentationFields(notification),
+        richContent: notification.imageUrl ? { image: notification.imageUrl } : undefined,
+        mutableContent: notification.imageUrl ? true : undefined
+      });
 
     // Create chunks (max 100 notifications per chunk as recommended by Expo)
     const chunks = expo.chunkPushNotifications(messages);
@@ -145,6 +163,9 @@ export async function sendBatchExpoPushNotifications(tokens, notification, data
     let successCount = 0;
     let failureCount = 0;
     const tokensToDeactivate = [];
+    const sentTokens = [];
+    const failedTokens = [];
+    const ticketIds = []; // { token, ticketId } - delivery is confirmed later via receipts
 
     // Send all chunks
     for (const chunk of chunks) {
@@ -154,23 +175,29 @@ export async function sendBatchExpoPushNotifications(tokens, notification, data
 
         // Count successes and failures
         tickets.forEach((ticket, index) => {
+          const token = chunk[index].to;
+
           if (ticket.status === 'ok') {
             successCount++;
+            sentTokens.push(token);
+            if (ticket.id) {
+              ticketIds.push({ token, ticketId: ticket.id });
+            }
           } else {
             failureCount++;
             
             // Track tokens that should be deactivated
             if (ticket.details?.error === 'DeviceNotRegistered') {
-              const tokenIndex = messages.findIndex(m => m === chunk[index]);
-              if (tokenIndex !== -1) {
-                tokensToDeactivate.push(validTokens[tokenIndex]);
-              }
+              tokensToDeactivate.push(token);
+            } else {
+              failedTokens.push({ token, error: ticket.details?.error || ticket.message });
             }
           }
         });
       } catch (error) {
         console.error('Error sending notification chunk:', error);
         failureCount += chunk.length;
+        failedTokens.push(...chunk.map(message => ({ token: message.to, error: error.message })));
       }
     }
 
@@ -183,6 +210,9 @@ export async function sendBatchExpoPushNotifications(tokens, notification, data
         failureCount,
         invalidCount: invalidTokens.length,
         tokensToDeactivate,
+        sentTokens,
+        failedTokens,
+        ticketIds,
         tickets: allTickets
       }
     };
@@ -196,6 +226,28 @@ export async function sendBatchExpoPushNotifications(tokens, notification, data
   }
 }
 
+/**
+ * Fetch push receipts for ticket IDs from Expo, in chunks
+ * @param {array} ticketIds - Ticket IDs returned when the notifications were sent
+ * @returns {object} Receipts keyed by ticket ID; tickets without a receipt yet are missing
+ */
+export async function getExpoPushReceipts(ticketIds) {
+  const receipts = {};
+  const chunks = expo.chunkPushNotificationReceiptIds(ticketIds);
+
+  for (const chunk of chunks) {
+    try {
+      const receiptChunk = await expo.getPushNotificationReceiptsAsync(chunk);
+      Object.assign(receipts, receiptChunk);
+    } catch (error) {
+      // Leave this chunk's tickets pending for the next poll
+      console.error('Error fetching Expo push receipts:', error);
+    }
+  }
+
+  return receipts;
+}
+
 /**
  * Get Android notification channel ID based on notification type
  */
@@ -227,20 +279,20 @@ function getPriority(notificationType) {
 }
 
 /**
- * Get iOS category ID based on notification type
+ * Action category, iOS interruption level and expiry declared by the template.
+ * Expo has no thread-id, relevance-score or collapse id field; the app reads
+ * threadId and collapseKey from the data instead and dismisses the earlier
+ * notification with the same collapseKey.
  */
-function getCategoryId(notificationType) {
-  const categoryMap = {
-    'photo_liked': 'PHOTO_INTERACTION',
-    'gallery_unlocked': 'COMMUNITY_UPDATE',
-    'community_milestone': 'COMMUNITY_UPDATE',
-    'event_live': 'EVENT_UPDATE',
-    'event_starting': 'EVENT_UPDATE',
-    'event_reminder': 'EVENT_REMINDER',
-    'peak_activity': 'ACTIVITY_UPDATE',
+function getPresentationFields(notification) {
+  return {
+    categoryId: notification.actionCategory || undefined,
+    interruptionLevel: notification.interruptionLevel || undefined,
+    // Expo and the push services drop the message after this (epoch seconds)
+    expiration: notification.expiresAt
+      ? Math.floor(new Date(notification.expiresAt).getTime() / 1000)
+      : undefined
   };
-
-  return categoryMap[notificationType] || 'GENERAL';
 }
 
 /**
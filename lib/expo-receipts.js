@@ -0,0 +1,157 @@
+/**
+ * Expo Push Receipts
+ * Confirms delivery of Expo notifications after they were accepted
+ *
+ * Sending only returns tickets; whether the message reached Apple/Google is
+ * reported by receipts, which Expo makes available shortly after sending and
+ * keeps for about a day. Pending tickets are polled here: their
+ * notification_history row is marked delivered or failed, and tokens Expo
+ * reports as DeviceNotRegistered are deactivated.
+ */
+
+import {
+  supabase,
+  updateNotificationStatus,
+  deactivatePushToken
+} from './supabase.js';
+import { getExpoPushReceipts } from './expo-push.js';
+
+// Expo recommends waiting before asking for receipts
+const RECEIPT_DELAY_MINUTES = 15;
+
+// Receipts are discarded by Expo after about 24 hours
+const RECEIPT_EXPIRY_HOURS = 24;
+
+const TICKETS_PER_RUN = 1000;
+
+// Check receipts of tickets sent at least RECEIPT_DELAY_MINUTES ago.
+// Stops before starting another chunk once `deadline` (ms timestamp) has passed.
+export async function processExpoReceipts({ deadline = null } = {}) {
+  const results = {
+    checked: 0,
+    delivered: 0,
+    failed: 0,
+    expired: 0,
+    deactivated: 0
+  };
+
+  const now = Date.now();
+  const readyBefore = new Date(now - RECEIPT_DELAY_MINUTES * 60 * 1000).toISOString();
+  const expiredBefore = new Date(now - RECEIPT_EXPIRY_HOURS * 60 * 60 * 1000).toISOString();
+
+  // Receipts for these are gone; we'll never know the outcome
+  const { data: expired, error: expireError } = await supabase
+    .from('expo_push_tickets')
+    .update({ status: 'expired', checked_at: new Date().toISOString() })
+    .eq('status', 'pending')
+    .lt('created_at', expiredBefore)
+    .select('id');
+
+  if (expireError) {
+    console.error('Error expiring Expo push tickets:', expireError);
+  } else {
+    results.expired = expired?.length || 0;
+  }
+
+  const { data: tickets, error } = await supabase
+    .from('expo_push_tickets')
+    .select('id, ticket_id, history_id, token')
+    .eq('status', 'pending')
+    .lt('created_at', readyBefore)
+    .order('created_at', { ascending: true })
+    .limit(TICKETS_PER_RUN);
+
+  if (error) {
+    throw error;
+  }
+
+  if (!tickets || tickets.length === 0) {
+    return results;
+  }
+
+  // Expo accepts up to 1000 IDs per request; chunk here too so the deadline is checked
+  const chunkSize = 300;
+  const touchedHistoryIds = new Set();
+
+  for (let i = 0; i < tickets.length; i += chunkSize) {
+    if (deadline && Date.now() >= deadline) {
+      console.log(`⏱️ Time budget reached after checking ${results.checked} Expo receipts`);
+      break;
+    }
+
+    const chunk = tickets.slice(i, i + chunkSize);
+    const receipts = await getExpoPushReceipts(chunk.map(t => t.ticket_id));
+
+    for (const ticket of chunk) {
+      const receipt = receipts[ticket.ticket_id];
+      if (!receipt) continue; // Not ready yet
+
+      results.checked++;
+      touchedHistoryIds.add(ticket.history_id);
+
+      if (receipt.status === 'ok') {
+        results.delivered++;
+        await updateTicket(ticket.id, 'delivered');
+        continue;
+      }
+
+      const errorCode = receipt.details?.error || 'Unknown';
+      results.failed++;
+      await updateTicket(ticket.id, 'failed', `${errorCode}: ${receipt.message || ''}`.trim());
+
+      if (errorCode === 'DeviceNotRegistered') {
+        if (await deactivatePushToken(ticket.token, 'DeviceNotRegistered')) {
+          results.deactivated++;
+        }
+      } else if (errorCode === 'InvalidCredentials') {
+        console.error('❌ Expo reports invalid push credentials - check the FCM/APNs credentials configured in Expo');
+      } else {
+        console.warn(`⚠️ Expo receipt error ${errorCode}:`, receipt.message);
+      }
+    }
+  }
+
+  for (const historyId of touchedHistoryIds) {
+    await updateHistoryFromTickets(historyId);
+  }
+
+  console.log(`📬 Expo receipts: ${results.delivered} delivered, ${results.failed} failed, ${results.expired} expired`);
+  return results;
+}
+
+async function updateTicket(id, status, errorMessage = null) {
+  const { error } = await supabase
+    .from('expo_push_tickets')
+    .update({
+      status,
+      error_message: errorMessage,
+      checked_at: new Date().toISOString()
+    })
+    .eq('id', id);
+
+  if (error) {
+    console.error('Error updating Expo push ticket:', error);
+  }
+}
+
+// A notification counts as delivered once any device received it, and as
+// failed once every Expo receipt came back with an error - unless the same
+// send also reached devices through APNs, FCM or Web Push, which have no
+// receipts. The Expo failures are still recorded on the tickets.
+async function updateHistoryFromTickets(historyId) {
+  const { data: tickets, error } = await supabase
+    .from('expo_push_tickets')
+    .select('status, other_devices_reached')
+    .eq('history_id', historyId);
+
+  if (error || !tickets) return;
+
+  const statuses = tickets.map(t => t.status);
+  const reachedOtherDevices = tickets.some(t => (t.other_devices_reached || 0) > 0);
+
+  if (statuses.includes('delivered')) {
+    await updateNotificationStatus(historyId, 'delivered', new Date().toISOString(), { fromStatuses: ['sent'] });
+  } else if (!reachedOtherDevices && statuses.every(status => status === 'failed')) {
+    await updateNotificationStatus(historyId, 'failed', null, { fromStatuses: ['sent'] });
+  }
+}
@@ -1,4 +1,5 @@
 import admin from 'firebase-admin';
+import { getRemainingTtlSeconds } from './templates.js';
 
 // Initialize Firebase Admin if not already done
 let app;
@@ -55,6 +56,7 @@ export async function sendFCMv1Notification(deviceToken, notification, data = {}
     // Convert all data values to strings (FCM requirement)
     const stringifiedData = stringifyDataValues({
       ...data,
+      ...getPresentationData(notification),
       type: notification.type || 'general',
       timestamp: new Date().toISOString()
     });
@@ -70,10 +72,13 @@ export async function sendFCMv1Notification(deviceToken, notification, data = {}
       notification: {
         title: notification.title || 'PartySnap',
         body: notification.body || 'You have a new notification',
+        imageUrl: notification.imageUrl || undefined
       },
       data: stringifiedData,
       android: {
         priority: 'high',
+        collapseKey: notification.collapseKey || undefined,
+        ttl: getAndroidTtl(notification),
         notification: {
           sound: 'default',
           priority: 'high',
@@ -81,10 +86,13 @@ export async function sendFCMv1Notification(deviceToken, notification, data = {}
           defaultVibrateTimings: true,
           channelId: getChannelId(notification.type),
           icon: 'ic_notification', // Default Android notification icon
-          color: '#667eea' // Brand color
+          color: '#667eea', // Brand color
+          imageUrl: notification.imageUrl || undefined,
+          tag: notification.collapseKey || undefined
         }
       },
       apns: {
+        headers: getApnsHeaders(notification),
         payload: {
           aps: {
             alert: {
@@ -92,10 +100,12 @@ export async function sendFCMv1Notification(deviceToken, notification, data = {}
               body: notification.body || 'You have a new notification'
             },
             sound: 'default',
-            badge: 1,
-            'content-available': 1
+            badge: notification.badge,
+            'content-available': 1,
+            ...getApsPresentation(notification)
           }
-        }
+        },
+        fcmOptions: notification.imageUrl ? { imageUrl: notification.imageUrl } : undefined
       }
     };
 
@@ -157,6 +167,7 @@ export async function sendBatchFCMv1Notifications(tokens, notification, data = {
   // Convert all data values to strings (FCM requirement)
   const stringifiedData = stringifyDataValues({
     ...data,
+    ...getPresentationData(notification),
     type: notification.type || 'general',
     timestamp: new Date().toISOString()
   });
@@ -169,16 +180,36 @@ export async function sendBatchFCMv1Notifications(tokens, notification, data = {
   console.log('  Body:', notification.body || 'NO BODY!');
   console.log('  Type:', notification.type);
   
-  // Build messages for each token
-  const messages = validTokens.map(token => ({
+  // Build messages for each token. Silent notifications (badge sync) are
+  // data-only on Android and badge-only on iOS.
+  const messages = validTokens.map(token => notification.silent ? {
+    token,
+    data: stringifiedData,
+    android: {
+      priority: 'normal'
+    },
+    apns: {
+      headers: {
+        'apns-priority': '5'
+      },
+      payload: {
+        aps: {
+          badge: notification.badge
+        }
+      }
+    }
+  } : {
     token,
     notification: {
       title: notification.title || 'PartySnap',
       body: notification.body || 'You have a new notification',
+      imageUrl: notification.imageUrl || undefined
     },
     data: stringifiedData,
     android: {
       priority: 'high',
+      collapseKey: notification.collapseKey || undefined,
+      ttl: getAndroidTtl(notification),
       notification: {
         sound: 'default',
         priority: 'high',
@@ -186,10 +217,14 @@ export async function sendBatchFCMv1Notifications(tokens, notification, data = {
         defaultVibrateTimings: true,
         channelId: getChannelId(notification.type),
         icon: 'ic_notification',
-        color: '#667eea'
+        color: '#667eea',
+        notificationCount: notification.badge,
+        imageUrl: notification.imageUrl || undefined,
+        tag: notification.collapseKey || undefined
       }
     },
     apns: {
+      headers: getApnsHeaders(notification),
       payload: {
         aps: {
           alert: {
@@ -197,11 +232,13 @@ export async function sendBatchFCMv1Notifications(tokens, notification, data = {
             body: notification.body || 'You have a new notification'
           },
           sound: 'default',
-          badge: 1
+          badge: notification.badge,
+          ...getApsPresentation(notification)
         }
-      }
+      },
+      fcmOptions: notification.imageUrl ? { imageUrl: notification.imageUrl } : undefined
     }
-  }));
+  });
 
   // Log first message as sample
   if (messages.length > 0) {
@@ -217,17 +254,20 @@ export async function sendBatchFCMv1Notifications(tokens, notification, data = {
     
     // Handle invalid tokens
     const results = response.responses.map((resp, index) => {
+      let shouldDeactivate = false;
       if (!resp.success && resp.error) {
         console.log(`Failed to send to token ${index}: ${resp.error.code}`);
         if (resp.error.code === 'messaging/invalid-registration-token' ||
             resp.error.code === 'messaging/registration-token-not-registered') {
           console.log('Token should be deactivated:', validTokens[index].substring(0, 20) + '...');
+          shouldDeactivate = true;
         }
       }
       return {
         success: resp.success,
         messageId: resp.messageId,
         error: resp.error?.message,
+        shouldDeactivate,
         token: validTokens[index]
       };
     });
@@ -252,6 +292,51 @@ export async function sendBatchFCMv1Notifications(tokens, notification, data = {
   }
 }
 
+// Action category, thread and iOS 15+ presentation declared by the template.
+// mutable-content lets the notification service extension attach the image.
+function getApsPresentation(notification) {
+  const aps = {};
+  if (notification.actionCategory) aps.category = notification.actionCategory;
+  if (notification.threadId) aps['thread-id'] = notification.threadId;
+  if (notification.interruptionLevel) aps['interruption-level'] = notification.interruptionLevel;
+  if (typeof notification.relevanceScore === 'number') aps['relevance-score'] = notification.relevanceScore;
+  if (notification.imageUrl) aps['mutable-content'] = 1;
+  return aps;
+}
+
+// A notification with the same collapse key replaces the previous one:
+// android.tag on the device, collapseKey while queued, apns-collapse-id on iOS.
+// apns-expiration mirrors android.ttl.
+function getApnsHeaders(notification) {
+  const headers = {};
+  if (notification.collapseKey) {
+    headers['apns-collapse-id'] = notification.collapseKey;
+  }
+  if (notification.expiresAt) {
+    headers['apns-expiration'] = String(Math.floor(new Date(notification.expiresAt).getTime() / 1000));
+  }
+  return Object.keys(headers).length > 0 ? headers : undefined;
+}
+
+// Time left to deliver (ms) from the template's TTL; FCM drops the message
+// after this instead of delivering it late
+function getAndroidTtl(notification) {
+  const remainingSeconds = getRemainingTtlSeconds(notification);
+  return remainingSeconds === undefined ? undefined : remainingSeconds * 1000;
+}
+
+// Android has no notification categories over FCM, so the app builds action
+// buttons and groups from these data fields
+function getPresentationData(notification) {
+  const presentation = {};
+  if (notification.actionCategory) {
+    presentation.actionCategory = notification.actionCategory;
+    presentation.actions = notification.actions || [];
+  }
+  if (notification.threadId) presentation.threadId = notification.threadId;
+  return presentation;
+}
+
 function getChannelId(type) {
   const channelMap = {
     'photo_shared': 'photos',
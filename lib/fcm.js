@@ -73,7 +73,7 @@ export async function sendFCMNotification(token, notification, data = {}) {
         payload: {
           aps: {
             sound: 'default',
-            badge: 1,
+            badge: notification.badge,
             category: getCategoryId(notification.type),
             mutableContent: notification.imageUrl ? true : false,
           },
@@ -143,7 +143,7 @@ export async function sendBatchFCMNotifications(tokens, notification, data = {})
           payload: {
             aps: {
               sound: 'default',
-              badge: 1,
+              badge: notification.badge,
               category: getCategoryId(notification.type),
             },
           },
@@ -153,23 +153,32 @@ export async function sendBatchFCMNotifications(tokens, notification, data = {})
 
       const response = await messaging.sendMulticast(message);
       console.log(`✅ FCM batch sent: ${response.successCount}/${batch.length} successful`);
+
+      const sent = [];
+      const failed = [];
+
+      // Handle failed tokens
+      response.responses.forEach((resp, index) => {
+        if (resp.success) {
+          sent.push(batch[index]);
+          return;
+        }
+
+        const error = resp.error;
+        const shouldDeactivate = error?.code === 'messaging/registration-token-not-registered' ||
+          error?.code === 'messaging/invalid-registration-token';
+        if (shouldDeactivate) {
+          console.log(`Token to deactivate: ${batch[index]}`);
+        }
+        failed.push({ token: batch[index], error: error?.code || error?.message, shouldDeactivate });
+      });
       
       results.push({
         successCount: response.successCount,
         failureCount: response.failureCount,
         responses: response.responses,
-      });
-
-      // Handle failed tokens
-      response.responses.forEach((resp, index) => {
-        if (!resp.success) {
-          const error = resp.error;
-          if (error?.code === 'messaging/registration-token-not-registered' ||
-              error?.code === 'messaging/invalid-registration-token') {
-            console.log(`Token to deactivate: ${batch[index]}`);
-            // TODO: Deactivate token in database
-          }
-        }
+        sent,
+        failed,
       });
     }
 
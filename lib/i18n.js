@@ -0,0 +1,243 @@
+/**
+ * Localization
+ * Message catalogs and ICU-style message formatting for notification copy
+ *
+ * Catalogs live in lib/locales/<language>.js as nested objects; messages are
+ * looked up by dotted key ('event_reminder.body'). A locale falls back along
+ * its chain - 'es-MX' → 'es' → 'en' - per message, so a catalog can be
+ * incomplete without breaking anything.
+ *
+ * Supported message syntax (a subset of ICU MessageFormat):
+ * - {name}                     value as text
+ * - {count, number}            number in the locale's format (12,345 / 12.345)
+ * - {count, plural, =0 {..} one {# like} other {# likes}}
+ *                              plural category from Intl.PluralRules; # is
+ *                              the formatted number
+ * - {tier, select, high {..} other {..}}
+ * - '{' ... '}'                quoted literal text; '' is an apostrophe
+ */
+
+import en from './locales/en.js';
+import es from './locales/es.js';
+import hi from './locales/hi.js';
+
+export const DEFAULT_LOCALE = 'en';
+
+const CATALOGS = { en, es, hi };
+
+export const SUPPORTED_LOCALES = Object.keys(CATALOGS);
+
+// Canonical BCP 47 tag ('es_mx' → 'es-MX'), or null if it isn't one
+export function normalizeLocale(locale) {
+  if (typeof locale !== 'string' || locale.trim() === '') {
+    return null;
+  }
+
+  try {
+    return Intl.getCanonicalLocales(locale.trim().replace(/_/g, '-'))[0] || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Whether there is a catalog for the locale's language
+export function isSupportedLocale(locale) {
+  const normalized = normalizeLocale(locale);
+  return !!normalized && !!CATALOGS[normalized.split('-')[0]];
+}
+
+// Locales to try, most specific first, always ending with the default
+export function getLocaleChain(locale) {
+  const chain = [];
+  const normalized = normalizeLocale(locale);
+
+  if (normalized) {
+    const parts = normalized.split('-');
+    for (let i = parts.length; i > 0; i--) {
+      chain.push(parts.slice(0, i).join('-'));
+    }
+  }
+
+  if (!chain.includes(DEFAULT_LOCALE)) {
+    chain.push(DEFAULT_LOCALE);
+  }
+
+  return chain.filter(candidate => CATALOGS[candidate]);
+}
+
+/**
+ * Format the message at `key` for a locale
+ * Falls back along the locale chain; a key missing everywhere is returned
+ * as-is so a gap shows up in the notification instead of throwing.
+ */
+export function translate(locale, key, values = {}) {
+  const chain = getLocaleChain(locale);
+
+  for (const candidate of chain) {
+    const message = lookup(CATALOGS[candidate], key);
+    if (typeof message === 'string') {
+      // Format with the requested locale so regional number formats apply
+      return formatMessage(message, values, normalizeLocale(locale) || candidate);
+    }
+  }
+
+  console.warn(`⚠️ Missing message "${key}" for locale ${locale || DEFAULT_LOCALE}`);
+  return key;
+}
+
+// Bind translate() to a locale, for templates
+export function getTranslator(locale) {
+  return (key, values) => translate(locale, key, values);
+}
+
+function lookup(catalog, key) {
+  return key.split('.').reduce((node, part) => (node == null ? undefined : node[part]), catalog);
+}
+
+/**
+ * Format an ICU-style message with values
+ */
+export function formatMessage(message, values = {}, locale = DEFAULT_LOCALE) {
+  return formatPattern(message, values, safeLocale(locale), null);
+}
+
+// Intl throws on locales it can't use; fall back to the default
+function safeLocale(locale) {
+  try {
+    return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0 ? locale : DEFAULT_LOCALE;
+  } catch (error) {
+    return DEFAULT_LOCALE;
+  }
+}
+
+function formatNumber(value, locale) {
+  const number = Number(value);
+  return Number.isFinite(number) ? new Intl.NumberFormat(locale).format(number) : String(value ?? '');
+}
+
+// `pluralValue` is the number # stands for inside a plural branch
+function formatPattern(pattern, values, locale, pluralValue) {
+  let output = '';
+  let i = 0;
+
+  while (i < pattern.length) {
+    const char = pattern[i];
+
+    if (char === '\'') {
+      // '' is a literal apostrophe; '{...}' quotes syntax characters;
+      // any other apostrophe (don't, you're) is just text
+      if (pattern[i + 1] === '\'') {
+        output += '\'';
+        i += 2;
+      } else if ('{}#'.includes(pattern[i + 1])) {
+        const end = pattern.indexOf('\'', i + 1);
+        const stop = end === -1 ? pattern.length : end;
+        output += pattern.slice(i + 1, stop);
+        i = stop + 1;
+      } else {
+        output += char;
+        i++;
+      }
+    } else if (char === '{') {
+      const end = findClosingBrace(pattern, i);
+      output += formatArgument(pattern.slice(i + 1, end), values, locale);
+      i = end + 1;
+    } else if (char === '#' && pluralValue !== null) {
+      output += formatNumber(pluralValue, locale);
+      i++;
+    } else {
+      output += char;
+      i++;
+    }
+  }
+
+  return output;
+}
+
+function findClosingBrace(pattern, openIndex) {
+  let depth = 0;
+
+  for (let i = openIndex; i < pattern.length; i++) {
+    if (pattern[i] === '{') depth++;
+    if (pattern[i] === '}') depth--;
+    if (depth === 0) return i;
+  }
+
+  throw new Error(`Unbalanced braces in message: ${pattern}`);
+}
+
+// Body of a {...} argument: "name", "name, number", "name, plural, ..." or
+// "name, select, ..."
+function formatArgument(argument, values, locale) {
+  const [name, format, ...rest] = splitTopLevel(argument, 3);
+  const value = values[name.trim()];
+
+  if (format === undefined) {
+    return value === undefined || value === null ? '' : String(value);
+  }
+
+  switch (format.trim()) {
+    case 'number':
+      return formatNumber(value, locale);
+
+    case 'plural': {
+      const options = parseOptions(rest.join(','));
+      const number = Number(value);
+      const exact = options[`=${number}`];
+      const category = Number.isFinite(number) ? new Intl.PluralRules(locale).select(number) : 'other';
+      const branch = exact ?? options[category] ?? options.other ?? '';
+      return formatPattern(branch, values, locale, value);
+    }
+
+    case 'select': {
+      const options = parseOptions(rest.join(','));
+      const branch = options[String(value)] ?? options.other ?? '';
+      return formatPattern(branch, values, locale, null);
+    }
+
+    default:
+      throw new Error(`Unsupported message format "${format.trim()}"`);
+  }
+}
+
+// Split on commas outside nested braces, into at most `limit` parts
+function splitTopLevel(text, limit) {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let i = 0; i < text.length && parts.length < limit - 1; i++) {
+    if (text[i] === '{') depth++;
+    if (text[i] === '}') depth--;
+    if (text[i] === ',' && depth === 0) {
+      parts.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+
+  parts.push(text.slice(start));
+  return parts;
+}
+
+// "=0 {none} one {# like} other {# likes}" → { '=0': 'none', one: ..., other: ... }
+function parseOptions(text) {
+  const options = {};
+  let i = 0;
+
+  while (i < text.length) {
+    while (i < text.length && /\s/.test(text[i])) i++;
+    if (i >= text.length) break;
+
+    const open = text.indexOf('{', i);
+    if (open === -1) {
+      throw new Error(`Missing message for option "${text.slice(i).trim()}"`);
+    }
+
+    const selector = text.slice(i, open).trim();
+    const close = findClosingBrace(text, open);
+    options[selector] = text.slice(open + 1, close);
+    i = close + 1;
+  }
+
+  return options;
+}
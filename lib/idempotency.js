@@ -0,0 +1,107 @@
+/**
+ * Request Idempotency
+ * Lets clients safely retry requests with an Idempotency-Key
+ *
+ * The first request with a key is marked in progress in Redis; when it
+ * finishes its response is stored for IDEMPOTENCY_TTL_SECONDS and returned
+ * to any retry with the same key instead of running the request again.
+ * A key reused with a different request body is rejected. If Redis is
+ * unavailable requests run normally (no deduplication).
+ */
+
+import crypto from 'crypto';
+import { getCachedData, setCachedData, setIfNotExists, deleteCachedData } from './redis.js';
+
+const KEY_PREFIX = 'idempotency:';
+
+// How long a completed response is replayed for
+export const IDEMPOTENCY_TTL_SECONDS = 24 * 60 * 60;
+
+// How long a request counts as in progress (covers the 10s function limit)
+const IN_PROGRESS_TTL_SECONDS = 60;
+
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Read the key from the Idempotency-Key header or `idempotencyKey` body field
+ * Returns { key } or { error } for an invalid key
+ */
+export function getIdempotencyKey(req) {
+  const key = req.headers['idempotency-key'] ?? req.body?.idempotencyKey;
+
+  if (key === undefined || key === null || key === '') {
+    return { key: null };
+  }
+
+  if (typeof key !== 'string' || key.length > MAX_KEY_LENGTH) {
+    return { error: `Idempotency key must be a string of at most ${MAX_KEY_LENGTH} characters` };
+  }
+
+  return { key };
+}
+
+/**
+ * Hash of the request payload, to detect a key reused for a different request
+ */
+export function fingerprintRequest(payload) {
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * Start an idempotent request
+ * Returns { state } where state is:
+ * - 'new': first time this key is seen, run the request
+ * - 'completed': already done, `response` holds { statusCode, body }
+ * - 'in_progress': another request with this key is still running
+ * - 'mismatch': the key was used for a different request
+ */
+export async function beginIdempotentRequest(scope, key, fingerprint) {
+  const cacheKey = `${KEY_PREFIX}${scope}:${key}`;
+
+  const claimed = await setIfNotExists(cacheKey, {
+    status: 'in_progress',
+    fingerprint,
+    started_at: new Date().toISOString()
+  }, IN_PROGRESS_TTL_SECONDS);
+
+  // Claimed, or Redis unavailable
+  if (claimed !== false) {
+    return { state: 'new' };
+  }
+
+  const existing = await getCachedData(cacheKey);
+
+  // Expired between the two calls - treat as new rather than failing the request
+  if (!existing) {
+    return { state: 'new' };
+  }
+
+  if (existing.fingerprint !== fingerprint) {
+    return { state: 'mismatch' };
+  }
+
+  if (existing.status === 'completed') {
+    return { state: 'completed', response: existing.response };
+  }
+
+  return { state: 'in_progress' };
+}
+
+/**
+ * Store the response for replay to retries
+ */
+export async function completeIdempotentRequest(scope, key, fingerprint, statusCode, body) {
+  await setCachedData(`${KEY_PREFIX}${scope}:${key}`, {
+    status: 'completed',
+    fingerprint,
+    response: { statusCode, body },
+    completed_at: new Date().toISOString()
+  }, IDEMPOTENCY_TTL_SECONDS);
+}
+
+/**
+ * Forget a key whose request failed so it can be retried
+ */
+export async function abandonIdempotentRequest(scope, key) {
+  await deleteCachedData(`${KEY_PREFIX}${scope}:${key}`);
+}
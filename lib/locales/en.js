@@ -0,0 +1,91 @@
+// English notification copy - the fallback for every other locale.
+// Message syntax is described in lib/i18n.js.
+export default {
+  common: {
+    yourEvent: 'your event',
+    yourEventStart: 'Your event'
+  },
+
+  actions: {
+    like_back: 'Like back',
+    view_photo: 'View photo',
+    view_gallery: 'View gallery',
+    open_event: 'Open event'
+  },
+
+  photo_liked: {
+    title: {
+      tier100: 'Your photo is on fire! 🔥',
+      tier50: 'Your photo is trending! ⭐',
+      tier20: 'Your photo is popular! 👏',
+      tier10: 'People love your photo! ❤️',
+      single: 'Someone liked your photo! 👍'
+    },
+    body: {
+      tier100: '{count, number} likes and counting at {eventName}!',
+      tier50: '{count, number} people have liked your photo from {eventName}',
+      tier20: '{count, number} likes on your photo from {eventName}',
+      tier10: '{count, number} people liked your photo from {eventName}',
+      single: 'Your photo from {eventName} got a new like'
+    }
+  },
+
+  gallery_unlocked: {
+    title: 'Gallery unlocked! 📸',
+    body: 'Photos from {eventName} are now available to view and download'
+  },
+
+  community_milestone: {
+    title: '{milestone, number} photos milestone! 🎉',
+    body: '{eventName} just reached {milestone, number} amazing photos shared by the community'
+  },
+
+  event_live: {
+    title: 'Event is live! 🎉',
+    body: '{eventName} has started! Start capturing and sharing memories'
+  },
+
+  event_starting: {
+    title: 'Event starting soon! ⏰',
+    body: '{eventName} starts in {minutes, plural, one {# minute} other {# minutes}}. Get ready to capture memories!'
+  },
+
+  event_reminder: {
+    title: 'Don\'t forget your event! 📅',
+    body: '{eventName} is in {hours, plural, one {# hour} other {# hours}}. Make sure you\'re ready!'
+  },
+
+  peak_activity: {
+    title: 'Peak activity happening! ⚡',
+    body: '{count, number} photos shared in the last hour at {eventName}. Join the action!',
+    bodyNoCount: 'Many photos shared in the last hour at {eventName}. Join the action!'
+  },
+
+  quiet_hours_digest: {
+    title: 'While you were away 🌙',
+    body: {
+      likesAndUpdates: 'You have {likes, plural, one {# new like} other {# new likes}} on your photos and {updates, plural, one {# update} other {# updates}} from your events',
+      likes: 'You have {likes, plural, one {# new like} other {# new likes}} on your photos',
+      updates: 'You have {updates, plural, one {# update} other {# updates}} from your events',
+      empty: 'Catch up on what you missed'
+    }
+  },
+
+  photo_liked_batch: {
+    title: '{totalLikes, number} total likes! 🔥',
+    body: {
+      oneEvent: 'Your photos from {eventName} are getting lots of love',
+      manyEvents: 'Your photos from {eventCount, number} events are getting lots of love'
+    }
+  },
+
+  community_milestone_batch: {
+    title: 'Multiple milestones reached! 🎉',
+    body: '{eventCount, plural, one {# event has} other {# events have}} hit photo milestones'
+  },
+
+  peak_activity_batch: {
+    title: 'High activity across events! ⚡',
+    body: '{eventCount, plural, one {# event is} other {# events are}} buzzing with activity'
+  }
+};
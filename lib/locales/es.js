@@ -0,0 +1,90 @@
+// Spanish notification copy. Missing messages fall back to English.
+export default {
+  common: {
+    yourEvent: 'tu evento',
+    yourEventStart: 'Tu evento'
+  },
+
+  actions: {
+    like_back: 'Devolver el me gusta',
+    view_photo: 'Ver foto',
+    view_gallery: 'Ver galería',
+    open_event: 'Abrir evento'
+  },
+
+  photo_liked: {
+    title: {
+      tier100: '¡Tu foto está que arde! 🔥',
+      tier50: '¡Tu foto es tendencia! ⭐',
+      tier20: '¡Tu foto es popular! 👏',
+      tier10: '¡A la gente le encanta tu foto! ❤️',
+      single: '¡A alguien le gustó tu foto! 👍'
+    },
+    body: {
+      tier100: '¡{count, number} me gusta y sumando en {eventName}!',
+      tier50: 'A {count, number} personas les gustó tu foto de {eventName}',
+      tier20: '{count, number} me gusta en tu foto de {eventName}',
+      tier10: 'A {count, number} personas les gustó tu foto de {eventName}',
+      single: 'Tu foto de {eventName} recibió un nuevo me gusta'
+    }
+  },
+
+  gallery_unlocked: {
+    title: '¡Galería desbloqueada! 📸',
+    body: 'Las fotos de {eventName} ya están disponibles para ver y descargar'
+  },
+
+  community_milestone: {
+    title: '¡{milestone, number} fotos alcanzadas! 🎉',
+    body: '{eventName} acaba de llegar a {milestone, number} fotos increíbles compartidas por la comunidad'
+  },
+
+  event_live: {
+    title: '¡El evento está en vivo! 🎉',
+    body: '¡{eventName} ha comenzado! Empieza a capturar y compartir recuerdos'
+  },
+
+  event_starting: {
+    title: '¡El evento empieza pronto! ⏰',
+    body: '{eventName} empieza en {minutes, plural, one {# minuto} other {# minutos}}. ¡Prepárate para capturar recuerdos!'
+  },
+
+  event_reminder: {
+    title: '¡No olvides tu evento! 📅',
+    body: '{eventName} es en {hours, plural, one {# hora} other {# horas}}. ¡Asegúrate de estar listo!'
+  },
+
+  peak_activity: {
+    title: '¡Actividad al máximo! ⚡',
+    body: '{count, plural, one {# foto compartida} other {# fotos compartidas}} en la última hora en {eventName}. ¡Únete!',
+    bodyNoCount: 'Muchas fotos compartidas en la última hora en {eventName}. ¡Únete!'
+  },
+
+  quiet_hours_digest: {
+    title: 'Mientras no estabas 🌙',
+    body: {
+      likesAndUpdates: 'Tienes {likes, plural, one {# nuevo me gusta} other {# nuevos me gusta}} en tus fotos y {updates, plural, one {# novedad} other {# novedades}} de tus eventos',
+      likes: 'Tienes {likes, plural, one {# nuevo me gusta} other {# nuevos me gusta}} en tus fotos',
+      updates: 'Tienes {updates, plural, one {# novedad} other {# novedades}} de tus eventos',
+      empty: 'Ponte al día con lo que te perdiste'
+    }
+  },
+
+  photo_liked_batch: {
+    title: '¡{totalLikes, number} me gusta en total! 🔥',
+    body: {
+      oneEvent: 'Tus fotos de {eventName} están recibiendo mucho cariño',
+      manyEvents: 'Tus fotos de {eventCount, number} eventos están recibiendo mucho cariño'
+    }
+  },
+
+  community_milestone_batch: {
+    title: '¡Varios hitos alcanzados! 🎉',
+    body: '{eventCount, plural, one {# evento ha alcanzado} other {# eventos han alcanzado}} hitos de fotos'
+  },
+
+  peak_activity_batch: {
+    title: '¡Mucha actividad en tus eventos! ⚡',
+    body: '{eventCount, plural, one {# evento está} other {# eventos están}} a tope de actividad'
+  }
+};
@@ -0,0 +1,90 @@
+// Hindi notification copy. Missing messages fall back to English.
+export default {
+  common: {
+    yourEvent: 'आपका इवेंट',
+    yourEventStart: 'आपका इवेंट'
+  },
+
+  actions: {
+    like_back: 'वापस लाइक करें',
+    view_photo: 'फ़ोटो देखें',
+    view_gallery: 'गैलरी देखें',
+    open_event: 'इवेंट खोलें'
+  },
+
+  photo_liked: {
+    title: {
+      tier100: 'आपकी फ़ोटो छा गई है! 🔥',
+      tier50: 'आपकी फ़ोटो ट्रेंड कर रही है! ⭐',
+      tier20: 'आपकी फ़ोटो लोकप्रिय है! 👏',
+      tier10: 'लोगों को आपकी फ़ोटो बहुत पसंद है! ❤️',
+      single: 'किसी ने आपकी फ़ोटो लाइक की! 👍'
+    },
+    body: {
+      tier100: '{eventName} में {count, number} लाइक और बढ़ रहे हैं!',
+      tier50: '{eventName} की आपकी फ़ोटो को {count, number} लोगों ने लाइक किया है',
+      tier20: '{eventName} की आपकी फ़ोटो पर {count, number} लाइक',
+      tier10: '{eventName} की आपकी फ़ोटो को {count, number} लोगों ने लाइक किया',
+      single: '{eventName} की आपकी फ़ोटो को एक नया लाइक मिला'
+    }
+  },
+
+  gallery_unlocked: {
+    title: 'गैलरी अनलॉक हो गई! 📸',
+    body: '{eventName} की फ़ोटो अब देखने और डाउनलोड करने के लिए उपलब्ध हैं'
+  },
+
+  community_milestone: {
+    title: '{milestone, number} फ़ोटो पूरी! 🎉',
+    body: '{eventName} में कम्युनिटी ने {milestone, number} शानदार फ़ोटो शेयर कर दी हैं'
+  },
+
+  event_live: {
+    title: 'इवेंट लाइव है! 🎉',
+    body: '{eventName} शुरू हो गया है! यादें कैद करना और शेयर करना शुरू करें'
+  },
+
+  event_starting: {
+    title: 'इवेंट जल्द शुरू हो रहा है! ⏰',
+    body: '{eventName} {minutes, number} मिनट में शुरू होगा। यादें कैद करने के लिए तैयार हो जाइए!'
+  },
+
+  event_reminder: {
+    title: 'अपना इवेंट न भूलें! 📅',
+    body: '{eventName} {hours, number} घंटे में है। पक्का कर लें कि आप तैयार हैं!'
+  },
+
+  peak_activity: {
+    title: 'ज़बरदस्त एक्टिविटी चल रही है! ⚡',
+    body: '{eventName} में पिछले एक घंटे में {count, number} फ़ोटो शेयर हुईं। आप भी शामिल हों!',
+    bodyNoCount: '{eventName} में पिछले एक घंटे में बहुत सारी फ़ोटो शेयर हुईं। आप भी शामिल हों!'
+  },
+
+  quiet_hours_digest: {
+    title: 'जब आप दूर थे 🌙',
+    body: {
+      likesAndUpdates: 'आपकी फ़ोटो पर {likes, number} नए लाइक और आपके इवेंट्स से {updates, number} अपडेट हैं',
+      likes: 'आपकी फ़ोटो पर {likes, number} नए लाइक हैं',
+      updates: 'आपके इवेंट्स से {updates, number} अपडेट हैं',
+      empty: 'देखिए आपसे क्या छूट गया'
+    }
+  },
+
+  photo_liked_batch: {
+    title: 'कुल {totalLikes, number} लाइक! 🔥',
+    body: {
+      oneEvent: '{eventName} की आपकी फ़ोटो को खूब प्यार मिल रहा है',
+      manyEvents: '{eventCount, number} इवेंट्स की आपकी फ़ोटो को खूब प्यार मिल रहा है'
+    }
+  },
+
+  community_milestone_batch: {
+    title: 'कई माइलस्टोन पूरे हुए! 🎉',
+    body: '{eventCount, plural, one {# इवेंट ने} other {# इवेंट्स ने}} फ़ोटो माइलस्टोन पूरे किए'
+  },
+
+  peak_activity_batch: {
+    title: 'कई इवेंट्स में ज़बरदस्त एक्टिविटी! ⚡',
+    body: '{eventCount, plural, one {# इवेंट में} other {# इवेंट्स में}} ज़बरदस्त एक्टिविटी चल रही है'
+  }
+};
@@ -0,0 +1,102 @@
+/**
+ * Notification Images
+ * Resolves the photo shown in a notification as a signed URL
+ *
+ * Templates declare `image: 'photo'` (the photo in data.photoId) or
+ * `image: 'event_photo'` (the newest visible photo of data.eventId). Photos
+ * are in a private bucket, so the device gets a signed URL. The image is
+ * downloaded when the notification is displayed, which can be long after it
+ * was sent, so URLs are signed for a day and a cached URL is only reused
+ * while it has at least half of that left.
+ */
+
+import { supabase } from './supabase.js';
+import { batchGenerateSignedUrls, extractStoragePath } from './photo-url-cache.js';
+import { NOTIFICATION_TEMPLATES } from './templates.js';
+
+const IMAGE_URL_EXPIRY_SECONDS = 24 * 60 * 60;
+const IMAGE_URL_MIN_REMAINING_SECONDS = 12 * 60 * 60;
+
+// Signed image URL for a notification, or null when the template has no
+// image or none can be found. Never throws - a notification without an
+// image is better than no notification.
+export async function resolveNotificationImage(type, data = {}) {
+  if (data.imageUrl) {
+    return data.imageUrl;
+  }
+
+  const source = NOTIFICATION_TEMPLATES[type]?.image;
+  if (!source) {
+    return null;
+  }
+
+  try {
+    const photoUrl = source === 'photo'
+      ? await getPhotoUrl(data.photoId)
+      : await getLatestEventPhotoUrl(data.eventId);
+
+    const path = extractStoragePath(photoUrl);
+    if (!path) {
+      return null;
+    }
+
+    const { urls } = await batchGenerateSignedUrls([path], {
+      expiresIn: IMAGE_URL_EXPIRY_SECONDS,
+      minRemainingSeconds: IMAGE_URL_MIN_REMAINING_SECONDS
+    });
+
+    return urls[path] || null;
+
+  } catch (error) {
+    console.warn(`⚠️ Could not resolve image for ${type} notification:`, error.message);
+    return null;
+  }
+}
+
+async function getPhotoUrl(photoId) {
+  if (!photoId) return null;
+
+  const { data: photo, error } = await supabase
+    .from('photos')
+    .select('photo_url, moderation_status')
+    .eq('id', photoId)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!photo || photo.moderation_status === 'deleted') return null;
+
+  return photo.photo_url;
+}
+
+// Newest photo every participant can see: approved ones when the event is
+// moderated, anything not deleted otherwise
+async function getLatestEventPhotoUrl(eventId) {
+  if (!eventId) return null;
+
+  const { data: event, error: eventError } = await supabase
+    .from('events')
+    .select('require_moderation')
+    .eq('id', eventId)
+    .maybeSingle();
+
+  if (eventError) throw eventError;
+  if (!event) return null;
+
+  let query = supabase
+    .from('photos')
+    .select('photo_url')
+    .eq('event_id', eventId)
+    .eq('photo_type', 'event');
+
+  query = event.require_moderation
+    ? query.eq('moderation_status', 'approved')
+    : query.neq('moderation_status', 'deleted');
+
+  const { data: photo, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  if (error) throw error;
+  return photo?.photo_url || null;
+}
@@ -0,0 +1,70 @@
+import { supabase } from './supabase.js';
+
+// Add a notification to notification_queue for the queue cron to send later.
+// `deferredReason` marks notifications held back for the user (e.g. quiet hours)
+// so they can be folded into a digest when they come due. With a `dedupeKey`,
+// queueing the same key again returns the existing row's id instead of a new row.
+// With `dedupeTtlSeconds` as well, a key older than that no longer matches: it
+// is taken off the old row and the notification is queued again.
+export async function queueNotification(userId, notificationType, data = {}, priority = 'medium', scheduledFor = null, options = {}) {
+  const { deferredReason = null, dedupeKey = null, dedupeTtlSeconds = null } = options;
+
+  try {
+    const { data: queuedNotification, error } = await supabase
+      .from('notification_queue')
+      .insert({
+        user_id: userId,
+        notification_type: notificationType,
+        data: data,
+        priority: priority,
+        status: 'pending',
+        scheduled_for: scheduledFor || new Date().toISOString(),
+        deferred_reason: deferredReason,
+        dedupe_key: dedupeKey,
+        created_at: new Date().toISOString()
+      })
+      .select('id')
+      .single();
+
+    // Unique violation on dedupe_key: already queued
+    if (error?.code === '23505' && dedupeKey) {
+      const { data: existing } = await supabase
+        .from('notification_queue')
+        .select('id, created_at')
+        .eq('dedupe_key', dedupeKey)
+        .maybeSingle();
+
+      if (existing && dedupeTtlSeconds &&
+          Date.now() - Date.parse(existing.created_at) >= dedupeTtlSeconds * 1000) {
+        await supabase
+          .from('notification_queue')
+          .update({ dedupe_key: null })
+          .eq('id', existing.id)
+          .eq('dedupe_key', dedupeKey);
+
+        // Without the TTL, a row that took the key meanwhile is returned
+        return await queueNotification(userId, notificationType, data, priority, scheduledFor, {
+          ...options,
+          dedupeTtlSeconds: null
+        });
+      }
+
+      if (existing) {
+        console.log(`🔁 ${notificationType} notification for user ${userId} already queued (${dedupeKey})`);
+        return existing.id;
+      }
+    }
+
+    if (error) {
+      console.error('Error queuing notification:', error);
+      return false;
+    }
+
+    console.log(`📥 Queued ${notificationType} notification for user ${userId}`);
+    return queuedNotification.id;
+
+  } catch (error) {
+    console.error('Error in queueNotification:', error);
+    return false;
+  }
+}
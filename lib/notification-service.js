@@ -1,114 +1,261 @@
-import { sendFCMNotification, sendBatchFCMNotifications } from './fcm.js';
-import { sendAPNSNotification, sendBatchAPNSNotifications } from './apns.js';
-import { sendExpoPushNotification, sendBatchExpoPushNotifications, validateExpoPushToken } from './expo-push.js';
-import { sendFCMv1Notification, sendBatchFCMv1Notifications } from './fcm-v1.js';
+import { groupTokensByProvider, getPushProvider } from './push-providers.js';
 import { 
   getUserPushTokens, 
   getUserNotificationPreferences, 
   logNotificationHistory,
-  shouldSendNotification,
-  deactivatePushToken
+  deactivatePushToken,
+  getOpenNotificationBatch,
+  createNotificationBatch,
+  appendNotificationBatchItem,
+  claimNotificationBatch,
+  getDueNotificationBatches,
+  recordPushTokenFailure,
+  resetPushTokenFailures,
+  storeExpoPushTickets,
+  updateNotificationStatus,
+  getUnreadNotificationCount
 } from './supabase.js';
 import { 
   buildNotification, 
+  buildBatchedNotification,
   canBatch, 
   createBatchedNotification,
   validateNotificationData,
+  BATCHING_RULES,
+  NOTIFICATION_TEMPLATES,
+  isNotificationTypeEnabled,
   getPriorityWeight,
+  getRemainingTtlSeconds,
   DEFAULT_SETTINGS
 } from './templates.js';
+import { acquireNotificationRateLimit, releaseNotificationRateLimit } from './rate-limiter.js';
+import { getQuietHoursEnd } from './quiet-hours.js';
+import { queueNotification } from './notification-queue.js';
+import { IDEMPOTENCY_TTL_SECONDS } from './idempotency.js';
+import { resolveNotificationImage } from './notification-images.js';
+
+// Consecutive failures after which a push token is deactivated
+const MAX_TOKEN_FAILURES = 3;
 
 // Main notification service class
 export class NotificationService {
-  constructor() {
-    this.pendingNotifications = new Map(); // For batching
-    this.rateLimits = new Map(); // For rate limiting
-    this.tokenFailures = new Map(); // Track token failures
-  }
-
   // Send notification to a single user
-  async sendNotification(userId, type, data = {}) {
+  // `options.idempotencyKey` makes a deferred send queue at most one row per
+  // key and user, so a retried request doesn't queue the notification twice
+  async sendNotification(userId, type, data = {}, options = {}) {
     try {
       console.log(`📱 Sending ${type} notification to user ${userId}`);
 
       // Validate input data
       validateNotificationData(type, data);
 
-      // Check if user should receive notifications
-      const canSend = await shouldSendNotification(userId);
-      if (!canSend) {
-        console.log(`⏸️ User ${userId} has notifications disabled or in quiet hours`);
-        return { success: false, reason: 'user_preferences' };
-      }
-
       // Get user preferences
       const preferences = await getUserNotificationPreferences(userId);
-      const typeEnabled = preferences[type.replace('_', '')] ?? DEFAULT_SETTINGS[type]?.enabled ?? true;
-      
-      if (!typeEnabled) {
+
+      if (!isNotificationTypeEnabled(preferences, type)) {
         console.log(`⏸️ Notification type ${type} disabled for user ${userId}`);
         return { success: false, reason: 'type_disabled' };
       }
 
-      // Check rate limits
-      if (this.isRateLimited(userId, type)) {
+      // Respect quiet hours unless this type is allowed to bypass them. The
+      // end is computed once: checking and then computing it separately could
+      // straddle the end of the window.
+      const respectsQuietHours = DEFAULT_SETTINGS[type]?.quietHours ?? true;
+      const quietHoursEnd = respectsQuietHours ? getQuietHoursEnd(preferences) : null;
+      if (quietHoursEnd) {
+        return await this.deferUntilQuietHoursEnd(userId, type, data, quietHoursEnd, options);
+      }
+
+      // Reserve a place under the rate limits; it is given back below
+      // unless the notification is actually delivered
+      const reservation = await this.acquireRateLimit(userId, type, data);
+      if (reservation.limited) {
         console.log(`⏸️ Rate limited for user ${userId}, type ${type}`);
         return { success: false, reason: 'rate_limited' };
       }
 
-      // Get user's push tokens
-      const tokens = await getUserPushTokens(userId);
-      if (tokens.length === 0) {
-        console.log(`⏸️ No active push tokens for user ${userId}`);
-        return { success: false, reason: 'no_tokens' };
-      }
+      let delivered = false;
+      try {
+        // Get user's push tokens
+        const tokens = await getUserPushTokens(userId);
+        if (tokens.length === 0) {
+          console.log(`⏸️ No active push tokens for user ${userId}`);
+          return { success: false, reason: 'no_tokens' };
+        }
+
+        // Check if we should batch this notification
+        if (preferences.batch_mode && DEFAULT_SETTINGS[type]?.batchEnabled) {
+          const shouldBatch = await this.checkBatching(userId, type, data);
+          if (shouldBatch) {
+            console.log(`📦 Batching ${type} notification for user ${userId}`);
+            return { success: true, reason: 'batched' };
+          }
+        }
+
+        // Build notification content, with the photo it's about when the
+        // template shows one (bulk sends resolve it once for everybody)
+        const imageUrl = options.imageUrl !== undefined
+          ? options.imageUrl
+          : await resolveNotificationImage(type, data);
+        const notification = buildNotification(type, imageUrl ? { ...data, imageUrl } : data, preferences.locale);
+
+        // A queued notification released after its expiry (e.g. "starting soon"
+        // once the event has started) would only be wrong by now
+        if (getRemainingTtlSeconds(notification) === 0) {
+          console.log(`⏸️ ${type} notification for user ${userId} expired at ${notification.expiresAt}, not sending`);
+          return { success: false, reason: 'expired' };
+        }
+
+        // Send to all user's devices and log history
+        const delivery = await this.deliverNotification(userId, tokens, notification, {
+          eventId: data.eventId || null,
+          photoId: data.photoId || null
+        });
 
-      // Check if we should batch this notification
-      if (preferences.batch_mode && DEFAULT_SETTINGS[type]?.batchEnabled) {
-        const shouldBatch = await this.checkBatching(userId, type, data);
-        if (shouldBatch) {
-          console.log(`📦 Batching ${type} notification for user ${userId}`);
-          return { success: true, reason: 'batched' };
+        delivered = delivery.success;
+        return delivery;
+      } finally {
+        if (!delivered) {
+          await releaseNotificationRateLimit(reservation);
         }
       }
 
-      // Build notification content
-      const notification = buildNotification(type, data);
-
-      // Send to all user's devices
-      const results = await this.sendToDevices(tokens, notification);
-
-      // Log notification history
-      const historyId = await logNotificationHistory({
-        userId,
-        type: notification.type,
-        title: notification.title,
-        body: notification.body,
-        data: notification.data,
-        eventId: data.eventId || null,
-        photoId: data.photoId || null
-      });
+    } catch (error) {
+      console.error(`❌ Error sending notification to user ${userId}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
 
-      // Update rate limiting
-      this.updateRateLimit(userId, type);
+  // Queue a notification to go out when the user's quiet hours end
+  async deferUntilQuietHoursEnd(userId, type, data, scheduledFor, { idempotencyKey = null } = {}) {
+    const queuedId = await queueNotification(
+      userId,
+      type,
+      data,
+      NOTIFICATION_TEMPLATES[type]?.priority || 'medium',
+      scheduledFor.toISOString(),
+      {
+        deferredReason: 'quiet_hours',
+        // The key only dedupes for as long as /api/notify remembers it
+        dedupeKey: idempotencyKey ? `notify:${idempotencyKey}:${userId}` : null,
+        dedupeTtlSeconds: IDEMPOTENCY_TTL_SECONDS
+      }
+    );
 
-      console.log(`✅ Notification sent to user ${userId}: ${results.successful}/${results.total} devices`);
+    if (!queuedId) {
+      return { success: false, reason: 'quiet_hours', error: 'Failed to queue deferred notification' };
+    }
+
+    console.log(`🌙 User ${userId} is in quiet hours, deferred ${type} until ${scheduledFor.toISOString()}`);
+    return { success: true, reason: 'deferred', queuedId, scheduledFor: scheduledFor.toISOString() };
+  }
+
+  // Send notifications that were held during quiet hours as one "while you
+  // were away" digest. `notifications` are notification_queue rows.
+  async sendQuietHoursDigest(userId, notifications) {
+    const counts = {};
+    notifications.forEach(n => {
+      counts[n.notification_type] = (counts[n.notification_type] || 0) + 1;
+    });
+
+    const eventIds = [...new Set(notifications.map(n => n.data?.eventId).filter(Boolean))];
+
+    return await this.sendNotification(userId, 'quiet_hours_digest', {
+      counts,
+      deferredCount: notifications.length,
+      eventId: eventIds.length === 1 ? eventIds[0] : undefined
+    });
+  }
 
-      return {
-        success: true,
-        results,
+  // Record a built notification in history and send it to the given tokens.
+  // The history row is created first so its id can travel in the push data,
+  // letting the app acknowledge it via /api/notifications/:id/ack.
+  async deliverNotification(userId, tokens, notification, { eventId = null, photoId = null } = {}) {
+    const historyId = await logNotificationHistory({
+      userId,
+      type: notification.type,
+      title: notification.title,
+      body: notification.body,
+      data: notification.data,
+      eventId,
+      photoId,
+      status: 'pending'
+    });
+
+    // The app icon badge shows the unread inbox count, this notification included
+    const unreadCount = await this.getUnreadCount(userId);
+
+    const payload = {
+      ...notification,
+      data: historyId ? { ...notification.data, historyId } : notification.data,
+      badge: unreadCount === null ? undefined : unreadCount + (historyId ? 1 : 0)
+    };
+
+    const results = await this.sendToDevices(tokens, payload);
+
+    if (historyId) {
+      await updateNotificationStatus(
         historyId,
-        devicesReached: results.successful
-      };
+        results.successful > 0 ? 'sent' : 'failed',
+        null,
+        { fromStatuses: ['pending'] }
+      );
+    }
+
+    // Expo only reports real delivery failures through receipts, fetched later
+    const otherDevicesReached = results.tokens.filter(t => t.success && t.provider !== 'expo').length;
+    await storeExpoPushTickets(historyId, results.expoTickets, otherDevicesReached);
 
+    console.log(`✅ Notification sent to user ${userId}: ${results.successful}/${results.total} devices`);
+
+    return {
+      success: true,
+      results,
+      historyId,
+      devicesReached: results.successful
+    };
+  }
+
+  // Unread inbox count (the new notification's pending history row isn't
+  // counted yet), or null if it can't be read so the badge is left alone
+  async getUnreadCount(userId) {
+    try {
+      return await getUnreadNotificationCount(userId);
     } catch (error) {
-      console.error(`❌ Error sending notification to user ${userId}:`, error);
+      console.warn(`Could not count unread notifications for user ${userId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Silently update the app icon badge on all of a user's devices, e.g. after
+  // notifications were read or deleted on one of them
+  async sendBadgeSync(userId) {
+    try {
+      const unreadCount = await getUnreadNotificationCount(userId);
+      const tokens = await getUserPushTokens(userId);
+
+      if (tokens.length === 0) {
+        return { success: false, reason: 'no_tokens' };
+      }
+
+      const results = await this.sendToDevices(tokens, {
+        type: 'badge_sync',
+        silent: true,
+        badge: unreadCount,
+        data: { type: 'badge_sync', unreadCount }
+      });
+
+      console.log(`🔢 Badge synced to ${unreadCount} for user ${userId}: ${results.successful}/${results.total} devices`);
+      return { success: true, unreadCount, devicesReached: results.successful };
+
+    } catch (error) {
+      console.error(`❌ Error syncing badge for user ${userId}:`, error);
       return { success: false, error: error.message };
     }
   }
 
   // Send notification to multiple users
-  async sendBulkNotification(userIds, type, data = {}) {
+  async sendBulkNotification(userIds, type, data = {}, options = {}) {
     console.log(`📱 Sending bulk ${type} notification to ${userIds.length} users`);
     
     const results = {
@@ -117,13 +264,16 @@ export class NotificationService {
       details: []
     };
 
+    // Every recipient sees the same photo
+    const sendOptions = { ...options, imageUrl: await resolveNotificationImage(type, data) };
+
     // Process users in batches to avoid overwhelming the system
     const batchSize = 50;
     for (let i = 0; i < userIds.length; i += batchSize) {
       const batch = userIds.slice(i, i + batchSize);
       
       const batchPromises = batch.map(userId => 
-        this.sendNotification(userId, type, data)
+        this.sendNotification(userId, type, data, sendOptions)
           .then(result => ({ userId, ...result }))
           .catch(error => ({ userId, success: false, error: error.message }))
       );
@@ -149,190 +299,114 @@ export class NotificationService {
     return results;
   }
 
-  // Send notifications to devices (handles iOS, Android, and Expo)
+  // Send notifications to devices through the push provider registered for
+  // each token (see lib/push-providers.js). `results.tokens` holds one
+  // { token, provider, success, invalidToken, error } entry per device.
   async sendToDevices(tokens, notification) {
     const results = {
       total: tokens.length,
       successful: 0,
       failed: 0,
-      invalidTokens: []
+      invalidTokens: [],
+      expoTickets: [], // { token, ticketId }
+      tokens: []
     };
 
-    // Separate tokens by type
-    const expoTokens = [];
-    const androidTokens = [];
-    const androidV1Tokens = []; // For FCM V1 API
-    const iosTokens = [];
-    
+    // Tokens that kept failing on earlier sends are retired instead of retried
+    const activeTokens = [];
+    const exhaustedTokens = [];
     tokens.forEach(t => {
-      if (t.token.startsWith('ExponentPushToken')) {
-        expoTokens.push(t);
-      } else if (t.platform === 'android') {
-        // Android FCM tokens contain ':APA91b' pattern
-        // All non-Expo Android tokens should use V1 API
-        if (!t.token.startsWith('ExponentPushToken')) {
-          // This is a device FCM token - use V1 API
-          androidV1Tokens.push(t);
-          console.log('Device token available for FCM V1 API');
-        } else {
-          // Shouldn't happen but fallback to legacy
-          androidTokens.push(t);
-        }
-      } else if (t.platform === 'ios') {
-        // iOS APNS tokens
-        if (!t.token.startsWith('ExponentPushToken')) {
-          iosTokens.push(t);
-        } else {
-          // iOS Expo token
-          expoTokens.push(t);
-        }
+      if ((t.failure_count || 0) >= MAX_TOKEN_FAILURES) {
+        console.log(`⚠️ Skipping token with ${t.failure_count} failures:`, t.token.substring(0, 20) + '...');
+        exhaustedTokens.push(t);
+        results.tokens.push({ token: t.token, provider: null, success: false, invalidToken: false, error: 'Too many failures' });
+      } else {
+        activeTokens.push(t);
       }
     });
 
-    // Send to Expo devices (handles both iOS and Android)
-    if (expoTokens.length > 0) {
+    const { groups, unhandled } = groupTokensByProvider(activeTokens);
+
+    unhandled.forEach(t => {
+      console.warn(`⚠️ No push provider for ${t.platform} token:`, t.token.substring(0, 20) + '...');
+      results.tokens.push({ token: t.token, provider: null, success: false, invalidToken: false, error: 'No push provider for token' });
+    });
+
+    for (const [provider, providerTokens] of groups) {
+      const tokenValues = providerTokens.map(t => t.token);
+      let outcomes;
+
       try {
-        const expoResult = await sendBatchExpoPushNotifications(
-          expoTokens.map(t => t.token), 
-          notification, 
-          notification.data
-        );
-        if (expoResult.success) {
-          results.successful += expoResult.results.successCount;
-          results.failed += expoResult.results.failureCount;
-          
-          // Collect tokens to deactivate
-          if (expoResult.results.tokensToDeactivate) {
-            results.invalidTokens.push(...expoResult.results.tokensToDeactivate);
-          }
-        } else {
-          results.failed += expoTokens.length;
-        }
+        outcomes = await provider.sendBatch(tokenValues, notification, providerTokens);
       } catch (error) {
-        console.error('Expo batch send error:', error);
-        results.failed += expoTokens.length;
+        console.error(`${provider.name} batch send error:`, error);
+        const { message, invalidToken } = provider.normalizeError(error);
+        outcomes = tokenValues.map(token => ({ token, success: false, invalidToken, error: message }));
       }
+
+      const sent = outcomes.filter(outcome => outcome.success).length;
+      console.log(`📤 ${provider.name}: ${sent} sent, ${outcomes.length - sent} failed`);
+
+      results.tokens.push(...outcomes.map(outcome => ({ ...outcome, provider: provider.name })));
     }
 
-    // Send to Android devices with FCM V1 (preferred)
-    if (androidV1Tokens.length > 0) {
-      try {
-        // Filter out any tokens we know are invalid from previous attempts
-        const validAndroidTokens = androidV1Tokens.filter(t => {
-          // Skip tokens that have failed multiple times (tracked in memory)
-          const failCount = this.tokenFailures.get(t.token) || 0;
-          if (failCount >= 3) {
-            console.log(`⚠️ Skipping token with ${failCount} failures:`, t.token.substring(0, 20) + '...');
-            results.invalidTokens.push(t.token);
-            return false;
-          }
-          return true;
-        });
+    // Per-token outcomes, used to keep push_tokens failure counts up to date
+    const deliveredTokens = [];
+    const failedTokens = []; // { token, error }
 
-        if (validAndroidTokens.length > 0) {
-          const fcmV1Result = await sendBatchFCMv1Notifications(
-            validAndroidTokens.map(t => t.token), 
-            notification, 
-            notification.data
-          );
-          if (fcmV1Result.successCount) {
-            results.successful += fcmV1Result.successCount;
-            results.failed += fcmV1Result.failureCount;
-            console.log(`✅ FCM V1: ${fcmV1Result.successCount} sent, ${fcmV1Result.failureCount} failed`);
-            
-            // Track invalid tokens and increment failure counts
-            if (fcmV1Result.results) {
-              fcmV1Result.results.forEach(result => {
-                if (!result.success) {
-                  // Increment failure count for this token
-                  const currentFailCount = this.tokenFailures.get(result.token) || 0;
-                  this.tokenFailures.set(result.token, currentFailCount + 1);
-                  
-                  if (result.error?.includes('invalid-registration') || 
-                      result.error?.includes('not-registered')) {
-                    results.invalidTokens.push(result.token);
-                  }
-                } else {
-                  // Reset failure count on success
-                  this.tokenFailures.delete(result.token);
-                }
-              });
-            }
-          } else {
-            results.failed += validAndroidTokens.length;
-          }
-        } else {
-          console.log('⚠️ No valid Android tokens to send to after filtering');
-          results.failed += androidV1Tokens.length;
+    results.tokens.forEach(outcome => {
+      if (outcome.success) {
+        results.successful++;
+        deliveredTokens.push(outcome.token);
+        if (outcome.ticketId) {
+          results.expoTickets.push({ token: outcome.token, ticketId: outcome.ticketId });
         }
-      } catch (error) {
-        console.error('FCM V1 batch send error:', error);
-        results.failed += androidV1Tokens.length;
+        return;
       }
-    }
-    
-    // Send to Android devices with Legacy FCM (fallback)
-    if (androidTokens.length > 0) {
-      try {
-        const fcmResult = await sendBatchFCMNotifications(
-          androidTokens.map(t => t.token), 
-          notification, 
-          notification.data
-        );
-        if (fcmResult.success) {
-          fcmResult.results.forEach(batch => {
-            results.successful += batch.successCount;
-            results.failed += batch.failureCount;
-          });
-        } else {
-          results.failed += androidTokens.length;
-        }
-      } catch (error) {
-        console.error('FCM Legacy batch send error:', error);
-        results.failed += androidTokens.length;
+
+      results.failed++;
+      if (outcome.invalidToken) {
+        results.invalidTokens.push(outcome.token);
+      } else if (outcome.provider) {
+        failedTokens.push({ token: outcome.token, error: outcome.error });
       }
+    });
+
+    await this.updateTokenHealth(tokens, deliveredTokens, failedTokens, results.invalidTokens, exhaustedTokens);
+
+    return results;
+  }
+
+  // Persist per-token delivery outcomes: reset counters on success, count
+  // transient failures, and deactivate tokens that are invalid or keep failing
+  async updateTokenHealth(tokens, deliveredTokens, failedTokens, invalidTokens, exhaustedTokens = []) {
+    const tokenRecords = new Map(tokens.map(t => [t.token, t]));
+    const toDeactivate = new Map(); // token -> reason
+
+    invalidTokens.forEach(token => toDeactivate.set(token, 'Token rejected by push provider'));
+    exhaustedTokens.forEach(t => toDeactivate.set(t.token, `Repeated delivery failures (${t.failure_count})`));
+
+    const healthyTokens = deliveredTokens.filter(token => (tokenRecords.get(token)?.failure_count || 0) > 0);
+    if (healthyTokens.length > 0) {
+      await resetPushTokenFailures(healthyTokens);
     }
 
-    // Send to iOS devices (non-Expo)
-    if (iosTokens.length > 0) {
-      try {
-        const apnsResult = await sendBatchAPNSNotifications(
-          iosTokens.map(t => t.token), 
-          notification, 
-          notification.data
-        );
-        if (apnsResult.success) {
-          apnsResult.results.forEach(batch => {
-            results.successful += batch.successCount;
-            results.failed += batch.failureCount;
-            
-            // Collect invalid tokens
-            if (batch.failed) {
-              batch.failed.forEach(failure => {
-                if (failure.error === 'BadDeviceToken' || failure.error === 'Unregistered') {
-                  results.invalidTokens.push(failure.device);
-                }
-              });
-            }
-          });
-        } else {
-          results.failed += iosTokens.length;
+    await Promise.all(failedTokens
+      .filter(failure => tokenRecords.has(failure.token) && !toDeactivate.has(failure.token))
+      .map(async (failure) => {
+        const failureCount = await recordPushTokenFailure(failure.token, failure.error);
+        if (failureCount !== null && failureCount >= MAX_TOKEN_FAILURES) {
+          toDeactivate.set(failure.token, `Repeated delivery failures (${failureCount}): ${failure.error || 'unknown error'}`);
         }
-      } catch (error) {
-        console.error('APNs batch send error:', error);
-        results.failed += iosTokens.length;
-      }
-    }
+      }));
 
     // Deactivate invalid tokens
-    if (results.invalidTokens.length > 0) {
-      console.log(`🗑️ Deactivating ${results.invalidTokens.length} invalid tokens`);
+    if (toDeactivate.size > 0) {
+      console.log(`🗑️ Deactivating ${toDeactivate.size} invalid tokens`);
       
-      // Batch deactivation for better performance
-      const uniqueTokens = [...new Set(results.invalidTokens)];
-      const deactivationPromises = uniqueTokens.map(async (token) => {
+      const deactivationPromises = [...toDeactivate].map(async ([token, reason]) => {
         try {
-          await deactivatePushToken(token);
+          await deactivatePushToken(token, reason);
           console.log(`✅ Deactivated token: ${token.substring(0, 20)}...`);
         } catch (error) {
           console.error(`Failed to deactivate token: ${error.message}`);
@@ -341,68 +415,123 @@ export class NotificationService {
       
       await Promise.all(deactivationPromises);
     }
-
-    return results;
   }
 
-  // Check if notification should be batched
+  // Check if notification should be batched. The first notification of a window
+  // is sent straight away and opens the window; later ones are held until the
+  // window closes or maxCount is reached, then go out as a single digest.
   async checkBatching(userId, type, data) {
-    // Implementation would check pending notifications for this user/type
-    // and decide if batching is appropriate based on timing and rules
-    return false; // Simplified for now
-  }
+    const rules = BATCHING_RULES[type];
+    if (!rules?.enabled) {
+      return false;
+    }
+
+    const now = new Date();
+    const batch = await getOpenNotificationBatch(userId, type);
 
-  // Rate limiting check
-  isRateLimited(userId, type) {
-    const key = `${userId}:${type}`;
-    const now = Date.now();
-    const limits = this.rateLimits.get(key) || { count: 0, resetTime: now + 60000 }; // 1 minute window
+    if (batch) {
+      const ready = await appendNotificationBatchItem(
+        batch.id,
+        { data, created_at: now.toISOString() },
+        rules.maxCount
+      );
+
+      if (ready) {
+        if (ready.length > 0) {
+          // maxCount reached: send the digest now but keep the window open for
+          // whatever comes next
+          await this.sendBatchedNotification(userId, type, ready);
+        }
+        return true;
+      }
 
-    // Reset if window expired
-    if (now > limits.resetTime) {
-      limits.count = 0;
-      limits.resetTime = now + 60000;
+      // Window closed but the sweep hasn't flushed it yet
+      await this.flushBatch(batch.id);
     }
 
-    // Check limits by type
-    const maxRequests = {
-      photo_liked: 10,      // 10 per minute
-      event_live: 1,        // 1 per minute
-      event_starting: 1,    // 1 per minute
-      community_milestone: 3, // 3 per minute
-      peak_activity: 2,     // 2 per minute
-      default: 5            // 5 per minute
-    };
+    // The unique (user_id, notification_type) constraint keeps this to one
+    // open window when two notifications race to create it
+    const windowEndsAt = new Date(now.getTime() + rules.windowMinutes * 60 * 1000);
+    await createNotificationBatch(userId, type, windowEndsAt);
+    return false;
+  }
 
-    const limit = maxRequests[type] || maxRequests.default;
-    return limits.count >= limit;
+  // Send held notifications as one digest (or as-is if only one was held)
+  async sendBatchedNotification(userId, type, notifications) {
+    try {
+      const tokens = await getUserPushTokens(userId);
+      if (tokens.length === 0) {
+        console.log(`⏸️ No active push tokens for user ${userId}, dropping ${notifications.length} batched ${type}`);
+        return { success: false, reason: 'no_tokens' };
+      }
+
+      const { locale } = await getUserNotificationPreferences(userId);
+
+      const notification = notifications.length === 1
+        ? buildNotification(type, notifications[0].data, locale)
+        : buildBatchedNotification(type, notifications, locale);
+
+      const eventIds = [...new Set(notifications.map(n => n.data.eventId).filter(Boolean))];
+
+      console.log(`📦 Flushing ${notifications.length} batched ${type} notifications for user ${userId}`);
+
+      return await this.deliverNotification(userId, tokens, notification, {
+        eventId: eventIds.length === 1 ? eventIds[0] : null,
+        photoId: notifications.length === 1 ? notifications[0].data.photoId || null : null
+      });
+
+    } catch (error) {
+      console.error(`❌ Error sending batched ${type} notification to user ${userId}:`, error);
+      return { success: false, error: error.message };
+    }
   }
 
-  // Update rate limiting counters
-  updateRateLimit(userId, type) {
-    const key = `${userId}:${type}`;
-    const now = Date.now();
-    const limits = this.rateLimits.get(key) || { count: 0, resetTime: now + 60000 };
-
-    // Reset if window expired
-    if (now > limits.resetTime) {
-      limits.count = 1;
-      limits.resetTime = now + 60000;
-    } else {
-      limits.count++;
+  // Flush a batch whose window has closed. It is claimed (deleted) before
+  // anything is sent, so the queue cron, /api/process-all and a request
+  // finding the closed window can't all send the same digest.
+  async flushBatch(batchId) {
+    const batch = await claimNotificationBatch(batchId);
+    const notifications = batch?.notifications || [];
+
+    if (notifications.length === 0) {
+      return null;
     }
 
-    this.rateLimits.set(key, limits);
+    return await this.sendBatchedNotification(batch.user_id, batch.notification_type, notifications);
   }
 
-  // Clean up old rate limit entries
-  cleanupRateLimits() {
-    const now = Date.now();
-    for (const [key, limits] of this.rateLimits.entries()) {
-      if (now > limits.resetTime + 60000) { // 1 minute grace period
-        this.rateLimits.delete(key);
+  // Flush every batch whose window has closed (called from the queue cron).
+  // Stops before the next batch once `deadline` (ms timestamp) has passed.
+  async flushDueBatches({ limit = 50, deadline = null } = {}) {
+    const batches = await getDueNotificationBatches(limit);
+    let flushed = 0;
+
+    for (const batch of batches) {
+      if (deadline && Date.now() >= deadline) {
+        console.log(`⏱️ Time budget reached, ${flushed} notification batches flushed so far`);
+        break;
+      }
+
+      try {
+        const result = await this.flushBatch(batch.id);
+        if (result?.success) {
+          flushed++;
+        }
+      } catch (error) {
+        console.error(`Error flushing notification batch ${batch.id}:`, error);
       }
     }
+
+    return flushed;
+  }
+
+  // Rate limiting reservation (shared across instances via Redis)
+  async acquireRateLimit(userId, type, data = {}) {
+    const reservation = await acquireNotificationRateLimit(userId, type, data);
+    if (reservation.limited) {
+      console.log(`⏸️ ${reservation.scope} limit of ${reservation.limit}/${reservation.windowSeconds}s reached for ${type}`);
+    }
+    return reservation;
   }
 
   // Test notification (for development/testing)
@@ -418,20 +547,14 @@ export class NotificationService {
         }
       };
 
-      let result;
-      
-      // Check if it's an Expo token
-      if (deviceToken.startsWith('ExponentPushToken')) {
-        result = await sendExpoPushNotification(deviceToken, testNotification, testNotification.data);
-      } else if (platform === 'android') {
-        result = await sendFCMNotification(deviceToken, testNotification);
-      } else if (platform === 'ios') {
-        result = await sendAPNSNotification(deviceToken, testNotification);
-      } else {
+      const provider = getPushProvider({ token: deviceToken, platform });
+      if (!provider) {
         throw new Error('Invalid platform. Use "android", "ios", or provide an Expo token');
       }
 
-      console.log(`✅ Test notification sent to ${deviceToken.startsWith('ExponentPushToken') ? 'Expo' : platform} device`);
+      const [result] = await provider.sendBatch([deviceToken], testNotification);
+
+      console.log(`${result.success ? '✅' : '❌'} Test notification via ${provider.name}:`, result.success ? 'sent' : result.error);
       return result;
 
     } catch (error) {
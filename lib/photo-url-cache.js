@@ -48,7 +48,9 @@ export async function batchGenerateSignedUrls(photoPaths, options = {}) {
     expiresIn = CACHE_CONFIG.SECURITY.DEFAULT_EXPIRY,
     eventId = null,
     userId = null,
-    forceRefresh = false 
+    forceRefresh = false,
+    // Only reuse a cached URL that stays valid at least this long
+    minRemainingSeconds = 0
   } = options;
 
   // Validate inputs
@@ -87,7 +89,7 @@ export async function batchGenerateSignedUrls(photoPaths, options = {}) {
         const cacheKey = cacheKeys[index];
         const cached = cachedUrls[cacheKey];
         
-        if (cached && cached.expires_at && new Date(cached.expires_at) > new Date()) {
+        if (cached && cached.expires_at && new Date(cached.expires_at) > new Date(Date.now() + minRemainingSeconds * 1000)) {
           validCachedUrls[path] = cached.signed_url;
           recordCacheHit('photo_urls');
         } else {
@@ -632,9 +634,8 @@ async function fetchEventPhotos(eventId, page, limit, userId, sortBy = 'most_lik
 
 /**
  * Extract storage path from photo URL
- * PRIVATE - URL utilities
  */
-function extractStoragePath(photoUrl) {
+export function extractStoragePath(photoUrl) {
   if (!photoUrl || typeof photoUrl !== 'string') return null;
 
   try {
@@ -0,0 +1,281 @@
+/**
+ * Push Providers
+ * One interface over the push transports (Expo, FCM v1, legacy FCM, APNs, Web Push)
+ *
+ * A provider is an object with:
+ * - name: identifier reported in per-token results
+ * - canHandle(tokenRecord): whether it delivers to this push_tokens row
+ * - validate(token, tokenRecord): async { valid, error, shouldDeactivate }
+ * - sendBatch(tokens, notification, tokenRecords): async per-token results, see below
+ * - normalizeError(error): { code, message, invalidToken } for a transport error
+ *
+ * tokenRecords are the push_tokens rows behind `tokens`, for transports that
+ * need more than the token (Web Push subscription keys).
+ *
+ * sendBatch returns one result per token, in any order:
+ *   { token, success, invalidToken, error, messageId, ticketId }
+ * `invalidToken` means the token will never work again and should be
+ * deactivated; `ticketId` is set for Expo tickets awaiting a receipt.
+ *
+ * Providers are tried in registry order and the first whose canHandle
+ * matches delivers the token. Add a transport with registerPushProvider.
+ */
+
+import { sendBatchFCMNotifications, validateFCMToken } from './fcm.js';
+import { sendBatchAPNSNotifications, validateAPNSToken } from './apns.js';
+import { sendBatchExpoPushNotifications, validateExpoPushToken } from './expo-push.js';
+import { sendBatchFCMv1Notifications } from './fcm-v1.js';
+import {
+  sendBatchWebPushNotifications,
+  validateWebPushSubscription,
+  toWebPushSubscription
+} from './web-push.js';
+
+const isExpoToken = (token) => token.startsWith('ExponentPushToken');
+
+// Failed result for every token, e.g. when a whole request failed
+function failAll(tokens, error, invalidToken = false) {
+  return tokens.map(token => ({ token, success: false, invalidToken, error }));
+}
+
+export const expoProvider = {
+  name: 'expo',
+
+  // Expo tokens work for both iOS and Android
+  canHandle: (tokenRecord) => isExpoToken(tokenRecord.token),
+
+  // Expo validates tokens on send; only the format can be checked here
+  validate: async (token) => ({ ...validateExpoPushToken(token), shouldDeactivate: false }),
+
+  async sendBatch(tokens, notification) {
+    const result = await sendBatchExpoPushNotifications(tokens, notification, notification.data);
+
+    if (!result.success) {
+      const invalid = new Set(result.invalidTokens || []);
+      return tokens.map(token => invalid.has(token)
+        ? { token, success: false, invalidToken: true, error: 'Invalid Expo push token' }
+        : { token, success: false, invalidToken: false, error: result.error });
+    }
+
+    const { sentTokens, failedTokens, tokensToDeactivate, ticketIds } = result.results;
+    const tickets = new Map(ticketIds.map(({ token, ticketId }) => [token, ticketId]));
+    const outcomes = new Map();
+
+    sentTokens.forEach(token => outcomes.set(token, {
+      token, success: true, invalidToken: false, ticketId: tickets.get(token) || null
+    }));
+    tokensToDeactivate.forEach(token => outcomes.set(token, {
+      token, success: false, invalidToken: true, error: 'DeviceNotRegistered'
+    }));
+    failedTokens.forEach(({ token, error }) => outcomes.set(token, {
+      token, success: false, ...this.normalizeError({ code: error, message: error })
+    }));
+
+    // Tokens Expo never saw were filtered out for having an invalid format
+    return tokens.map(token => outcomes.get(token) ||
+      { token, success: false, invalidToken: true, error: 'Invalid Expo push token' });
+  },
+
+  normalizeError(error) {
+    const code = error?.code || error?.details?.error || 'EXPO_ERROR';
+    return {
+      code,
+      message: error?.message || code,
+      invalidToken: code === 'DeviceNotRegistered'
+    };
+  }
+};
+
+const FCM_INVALID_TOKEN_CODES = [
+  'messaging/invalid-registration-token',
+  'messaging/registration-token-not-registered'
+];
+
+export const fcmV1Provider = {
+  name: 'fcm_v1',
+
+  canHandle: (tokenRecord) => tokenRecord.platform === 'android' && !isExpoToken(tokenRecord.token),
+
+  validate: async (token) => await validateFCMToken(token),
+
+  async sendBatch(tokens, notification) {
+    const result = await sendBatchFCMv1Notifications(tokens, notification, notification.data);
+    const outcomes = new Map();
+
+    result.results.forEach(r => {
+      if (!r.token) return;
+      outcomes.set(r.token, r.success
+        ? { token: r.token, success: true, invalidToken: false, messageId: r.messageId }
+        : { token: r.token, success: false, invalidToken: !!r.shouldDeactivate, error: r.error });
+    });
+
+    return tokens.map(token => outcomes.get(token) ||
+      { token, success: false, invalidToken: false, error: 'No FCM response for token' });
+  },
+
+  normalizeError(error) {
+    const code = error?.code || 'FCM_ERROR';
+    return {
+      code,
+      message: error?.message || code,
+      invalidToken: FCM_INVALID_TOKEN_CODES.includes(code)
+    };
+  }
+};
+
+// Legacy FCM is kept for reference but not registered: FCM v1 handles every
+// Android device token. registerPushProvider(fcmLegacyProvider) to use it.
+export const fcmLegacyProvider = {
+  name: 'fcm_legacy',
+
+  canHandle: (tokenRecord) => tokenRecord.platform === 'android' && !isExpoToken(tokenRecord.token),
+
+  validate: async (token) => await validateFCMToken(token),
+
+  async sendBatch(tokens, notification) {
+    const result = await sendBatchFCMNotifications(tokens, notification, notification.data);
+    if (!result.success) {
+      return failAll(tokens, result.error);
+    }
+
+    return result.results.flatMap(batch => [
+      ...batch.sent.map(token => ({ token, success: true, invalidToken: false })),
+      ...batch.failed.map(({ token, error, shouldDeactivate }) => ({
+        token, success: false, invalidToken: !!shouldDeactivate, error
+      }))
+    ]);
+  },
+
+  normalizeError: (error) => fcmV1Provider.normalizeError(error)
+};
+
+const APNS_INVALID_TOKEN_REASONS = ['BadDeviceToken', 'Unregistered'];
+
+export const apnsProvider = {
+  name: 'apns',
+
+  canHandle: (tokenRecord) => tokenRecord.platform === 'ios' && !isExpoToken(tokenRecord.token),
+
+  validate: async (token) => await validateAPNSToken(token),
+
+  async sendBatch(tokens, notification) {
+    const result = await sendBatchAPNSNotifications(tokens, notification, notification.data);
+    if (!result.success) {
+      return failAll(tokens, result.error);
+    }
+
+    return result.results.flatMap(batch => [
+      ...batch.sent.map(sent => ({ token: sent.device, success: true, invalidToken: false })),
+      ...batch.failed.map(failure => {
+        const { message, invalidToken } = this.normalizeError(failure);
+        return { token: failure.device, success: false, invalidToken, error: message };
+      })
+    ]);
+  },
+
+  // node-apn reports rejections as { device, status, response: { reason } }
+  // and connection problems as { device, error }
+  normalizeError(error) {
+    const code = error?.response?.reason || error?.error?.message || error?.message || 'APNS_ERROR';
+    return {
+      code,
+      message: code,
+      invalidToken: APNS_INVALID_TOKEN_REASONS.includes(code)
+    };
+  }
+};
+
+// The token of a web row is the subscription endpoint; its keys are stored
+// alongside in web_push_p256dh and web_push_auth
+export const webPushProvider = {
+  name: 'web_push',
+
+  canHandle: (tokenRecord) => tokenRecord.platform === 'web',
+
+  validate: async (token, tokenRecord = {}) => ({
+    ...validateWebPushSubscription(toWebPushSubscription({ ...tokenRecord, token })),
+    shouldDeactivate: false
+  }),
+
+  async sendBatch(tokens, notification, tokenRecords = []) {
+    const records = new Map(tokenRecords.map(t => [t.token, t]));
+    const subscriptions = tokens.map(token => toWebPushSubscription(records.get(token) || { token }));
+
+    const result = await sendBatchWebPushNotifications(subscriptions, notification, notification.data);
+    if (!result.success) {
+      return failAll(tokens, result.error);
+    }
+
+    return result.results.map(r => r.success
+      ? { token: r.endpoint, success: true, invalidToken: false }
+      : { token: r.endpoint, success: false, ...this.normalizeError(r) });
+  },
+
+  normalizeError(error) {
+    const statusCode = error?.statusCode;
+    return {
+      code: statusCode ? `HTTP ${statusCode}` : 'WEB_PUSH_ERROR',
+      message: error?.error || error?.message || `HTTP ${statusCode}`,
+      invalidToken: statusCode === 404 || statusCode === 410
+    };
+  }
+};
+
+const providers = [expoProvider, fcmV1Provider, apnsProvider, webPushProvider];
+
+/**
+ * Add a transport. By default it is tried before the built-in ones.
+ */
+export function registerPushProvider(provider, { first = true } = {}) {
+  const required = ['canHandle', 'validate', 'sendBatch', 'normalizeError'];
+  const missing = required.filter(method => typeof provider[method] !== 'function');
+  if (!provider.name || missing.length > 0) {
+    throw new Error(`Invalid push provider ${provider.name || '(unnamed)'}: missing ${missing.join(', ') || 'name'}`);
+  }
+
+  const existing = providers.findIndex(p => p.name === provider.name);
+  if (existing !== -1) {
+    providers.splice(existing, 1);
+  }
+
+  if (first) {
+    providers.unshift(provider);
+  } else {
+    providers.push(provider);
+  }
+}
+
+export function getPushProviders() {
+  return [...providers];
+}
+
+/**
+ * Provider for a push_tokens row ({ token, platform }), or null
+ */
+export function getPushProvider(tokenRecord) {
+  return providers.find(provider => provider.canHandle(tokenRecord)) || null;
+}
+
+/**
+ * Group push_tokens rows by the provider that delivers them.
+ * Returns { groups: Map<provider, tokenRecord[]>, unhandled: tokenRecord[] }
+ */
+export function groupTokensByProvider(tokenRecords) {
+  const groups = new Map();
+  const unhandled = [];
+
+  tokenRecords.forEach(tokenRecord => {
+    const provider = getPushProvider(tokenRecord);
+    if (!provider) {
+      unhandled.push(tokenRecord);
+      return;
+    }
+
+    if (!groups.has(provider)) {
+      groups.set(provider, []);
+    }
+    groups.get(provider).push(tokenRecord);
+  });
+
+  return { groups, unhandled };
+}
@@ -0,0 +1,113 @@
+/**
+ * Quiet Hours
+ * Timezone-aware evaluation of the quiet hours stored in notification_preferences
+ *
+ * quiet_hours_start/end are local wall-clock times ("22:00" or "22:00:00" as
+ * returned for a Postgres TIME column) in the user's IANA timezone. A window
+ * whose start is later than its end crosses midnight (e.g. 22:00 → 07:00).
+ */
+
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Check that a string is an IANA timezone the runtime understands
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse "HH:MM" / "HH:MM:SS" into minutes after midnight
+ */
+export function parseTimeOfDay(value) {
+  if (typeof value !== 'string') return null;
+
+  const match = value.match(/^(\d{1,2}):(\d{2})(?::(\d{2}))?$/);
+  if (!match) return null;
+
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+
+  return hours * 60 + minutes;
+}
+
+/**
+ * Minutes after local midnight for a moment in the given timezone
+ */
+function getLocalMinutes(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date);
+
+  const hour = Number(parts.find(p => p.type === 'hour').value);
+  const minute = Number(parts.find(p => p.type === 'minute').value);
+
+  return hour * 60 + minute;
+}
+
+/**
+ * Resolve the user's quiet window, or null if quiet hours are off or unusable
+ */
+function resolveQuietWindow(preferences) {
+  if (!preferences?.quiet_hours_enabled) return null;
+
+  const start = parseTimeOfDay(preferences.quiet_hours_start);
+  const end = parseTimeOfDay(preferences.quiet_hours_end);
+
+  if (start === null || end === null || start === end) {
+    return null;
+  }
+
+  let timeZone = preferences.timezone || 'UTC';
+  if (!isValidTimeZone(timeZone)) {
+    console.warn(`⚠️ Unknown timezone "${timeZone}", evaluating quiet hours in UTC`);
+    timeZone = 'UTC';
+  }
+
+  return { start, end, timeZone };
+}
+
+/**
+ * Is `now` inside the user's quiet hours? The window is [start, end).
+ */
+export function isWithinQuietHours(preferences, now = new Date()) {
+  const window = resolveQuietWindow(preferences);
+  if (!window) return false;
+
+  const current = getLocalMinutes(now, window.timeZone);
+
+  if (window.start < window.end) {
+    return current >= window.start && current < window.end;
+  }
+
+  // Window crosses midnight
+  return current >= window.start || current < window.end;
+}
+
+/**
+ * When does the quiet window that `now` falls in end? Returns null when `now`
+ * is outside quiet hours. Computed in local wall-clock minutes, so a DST change
+ * inside the window can shift the result by the DST offset.
+ */
+export function getQuietHoursEnd(preferences, now = new Date()) {
+  if (!isWithinQuietHours(preferences, now)) return null;
+
+  const window = resolveQuietWindow(preferences);
+  const current = getLocalMinutes(now, window.timeZone);
+  const minutesUntilEnd = (window.end - current + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+  // Align to the start of the current minute before adding the remainder
+  const minuteStart = now.getTime() - (now.getTime() % 60000);
+  return new Date(minuteStart + minutesUntilEnd * 60000);
+}
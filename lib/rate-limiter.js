@@ -0,0 +1,110 @@
+/**
+ * Notification Rate Limiter
+ * Sliding-window limits shared across lambda instances via Redis counters
+ *
+ * Each window is approximated from two fixed-window counters: the current one
+ * and the previous one weighted by how much of it still overlaps the window.
+ * If Redis is unavailable the limiter fails open.
+ */
+
+import { getBatch, incrementCounter, decrementCounter } from './redis.js';
+import { RATE_LIMIT_RULES } from './templates.js';
+
+const KEY_PREFIX = 'rate_limit:notifications:';
+
+/**
+ * Get the rules that apply to a notification type
+ */
+export function getRateLimitRules(type) {
+  return RATE_LIMIT_RULES[type] || RATE_LIMIT_RULES.default || [];
+}
+
+/**
+ * Build the counter key (without window index) for a rule, or null if the
+ * rule can't apply (e.g. a per-event rule for a notification without eventId)
+ */
+function getScopeKey(rule, type, userId, data) {
+  switch (rule.scope) {
+    case 'user':
+      return `${KEY_PREFIX}user:${type}:${userId}`;
+    case 'user_event':
+      return data.eventId ? `${KEY_PREFIX}user_event:${type}:${userId}:${data.eventId}` : null;
+    case 'global':
+      return `${KEY_PREFIX}global:${type}`;
+    default:
+      console.warn(`Unknown rate limit scope: ${rule.scope}`);
+      return null;
+  }
+}
+
+/**
+ * Resolve the current/previous fixed-window counter keys for each applicable rule
+ */
+function resolveWindows(userId, type, data, now) {
+  return getRateLimitRules(type)
+    .map(rule => {
+      const scopeKey = getScopeKey(rule, type, userId, data);
+      if (!scopeKey) return null;
+
+      const windowMs = rule.windowSeconds * 1000;
+      const windowIndex = Math.floor(now / windowMs);
+
+      return {
+        rule,
+        currentKey: `${scopeKey}:${windowIndex}`,
+        previousKey: `${scopeKey}:${windowIndex - 1}`,
+        // Fraction of the previous window still inside the sliding window
+        previousWeight: 1 - (now - windowIndex * windowMs) / windowMs
+      };
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Reserve this notification's place under every applicable rule
+ *
+ * The counters are incremented first and the limit is checked against the
+ * counts after the increment, so concurrent sends can't all pass a check made
+ * before any of them counted. A rejected reservation is rolled back. Returns
+ * { limited: false, keys } (pass to releaseNotificationRateLimit if the
+ * notification isn't sent after all) or { limited: true, scope, limit, windowSeconds }.
+ */
+export async function acquireNotificationRateLimit(userId, type, data = {}) {
+  const windows = resolveWindows(userId, type, data, Date.now());
+  if (windows.length === 0) {
+    return { limited: false, keys: [] };
+  }
+
+  // Counters must outlive their window so they can serve as the "previous" one
+  const currentCounts = await Promise.all(windows.map(w =>
+    incrementCounter(w.currentKey, w.rule.windowSeconds * 2)
+  ));
+  const keys = windows.filter((w, i) => currentCounts[i] > 0).map(w => w.currentKey);
+
+  const previousCounts = await getBatch(windows.map(w => w.previousKey));
+
+  const exceeded = windows.find((window, i) => {
+    const previous = Number(previousCounts[window.previousKey]) || 0;
+    return currentCounts[i] + previous * window.previousWeight > window.rule.limit;
+  });
+
+  if (!exceeded) {
+    return { limited: false, keys };
+  }
+
+  await releaseNotificationRateLimit({ keys });
+
+  return {
+    limited: true,
+    scope: exceeded.rule.scope,
+    limit: exceeded.rule.limit,
+    windowSeconds: exceeded.rule.windowSeconds
+  };
+}
+
+/**
+ * Give back a reservation from acquireNotificationRateLimit
+ */
+export async function releaseNotificationRateLimit({ keys }) {
+  await Promise.all(keys.map(key => decrementCounter(key)));
+}
@@ -153,6 +153,38 @@ export async function setCachedData(key, data, ttlSeconds = 3600) {
   }, false);
 }
 
+/**
+ * Set a key only if it doesn't exist yet (SET NX) with TTL
+ * Returns true if the key was set, false if it already existed,
+ * or null if Redis is unavailable
+ */
+export async function setIfNotExists(key, data, ttlSeconds = 3600) {
+  return await safeRedisOperation(async (client) => {
+    if (client.upstashRest) {
+      const result = await upstashRestCall('SET', key, JSON.stringify(data), 'EX', ttlSeconds, 'NX');
+      return result === 'OK';
+    }
+
+    const result = await client.set(key, JSON.stringify(data), 'EX', ttlSeconds, 'NX');
+    return result === 'OK';
+  }, null);
+}
+
+/**
+ * Delete a single cache key
+ */
+export async function deleteCachedData(key) {
+  return await safeRedisOperation(async (client) => {
+    if (client.upstashRest) {
+      await upstashRestCall('DEL', key);
+      return true;
+    }
+
+    await client.del(key);
+    return true;
+  }, false);
+}
+
 /**
  * Delete cache keys by pattern
  */
@@ -197,6 +229,19 @@ export async function incrementCounter(key, ttlSeconds = 60) {
   }, 0);
 }
 
+/**
+ * Decrement counter (undoes incrementCounter; the TTL is kept)
+ */
+export async function decrementCounter(key) {
+  return await safeRedisOperation(async (client) => {
+    if (client.upstashRest) {
+      return await upstashRestCall('DECR', key);
+    }
+
+    return await client.decr(key);
+  }, null);
+}
+
 /**
  * Set cache with automatic expiry management
  */
@@ -400,6 +445,8 @@ export default {
   safeRedisOperation,
   getCachedData,
   setCachedData,
+  setIfNotExists,
+  deleteCachedData,
   deleteCachePattern,
   incrementCounter,
   setWithAutoExpiry,
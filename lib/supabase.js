@@ -22,7 +22,7 @@ export const supabase = createClient(supabaseUrl, supabaseServiceKey, {
 export async function getUserPushTokens(userId) {
   const { data, error } = await supabase
     .from('push_tokens')
-    .select('token, platform, device_id')
+    .select('token, platform, device_id, failure_count, web_push_p256dh, web_push_auth')
     .eq('user_id', userId)
     .eq('is_active', true);
 
@@ -34,6 +34,22 @@ export async function getUserPushTokens(userId) {
   return data || [];
 }
 
+// Defaults for users without a notification_preferences row (matches the table
+// defaults - quiet hours stay off until the user has picked a window and timezone)
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  photo_likes: true,
+  community_activity: true,
+  event_updates: true,
+  peak_activity: true,
+  type_overrides: {},
+  batch_mode: false,
+  quiet_hours_enabled: false,
+  quiet_hours_start: '22:00',
+  quiet_hours_end: '07:00',
+  timezone: 'UTC',
+  locale: 'en'
+};
+
 export async function getUserNotificationPreferences(userId) {
   const { data, error } = await supabase
     .from('notification_preferences')
@@ -44,17 +60,66 @@ export async function getUserNotificationPreferences(userId) {
   if (error) {
     console.error('Error fetching notification preferences:', error);
     // Return default preferences if not found
-    return {
-      photo_likes: true,
-      community_activity: true,
-      event_updates: true,
-      peak_activity: true,
-      batch_mode: false,
-      quiet_hours_enabled: true,
-      quiet_hours_start: '22:00',
-      quiet_hours_end: '07:00',
-      timezone: 'UTC'
-    };
+    return { ...DEFAULT_NOTIFICATION_PREFERENCES };
+  }
+
+  return data;
+}
+
+// Fetch a user's preferences, creating the default row if they have none yet
+export async function getOrCreateNotificationPreferences(userId) {
+  const { data: existing, error } = await supabase
+    .from('notification_preferences')
+    .select('*')
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching notification preferences:', error);
+    throw new Error('Failed to load notification preferences');
+  }
+
+  if (existing) {
+    return existing;
+  }
+
+  const { data: created, error: insertError } = await supabase
+    .from('notification_preferences')
+    .upsert({
+      user_id: userId,
+      ...DEFAULT_NOTIFICATION_PREFERENCES
+    }, { onConflict: 'user_id', ignoreDuplicates: true })
+    .select('*')
+    .maybeSingle();
+
+  if (insertError) {
+    console.error('Error creating notification preferences:', insertError);
+    throw new Error('Failed to create notification preferences');
+  }
+
+  // Another request created the row between our select and insert
+  if (!created) {
+    return await getUserNotificationPreferences(userId);
+  }
+
+  console.log(`✅ Created default notification preferences for user ${userId}`);
+  return created;
+}
+
+export async function updateNotificationPreferences(userId, updates) {
+  const { data, error } = await supabase
+    .from('notification_preferences')
+    .upsert({
+      user_id: userId,
+      ...updates,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' })
+    .select('*')
+    .single();
+
+  if (error) {
+    console.error('Error updating notification preferences:', error);
+    throw new Error('Failed to update notification preferences');
   }
 
   return data;
@@ -71,7 +136,7 @@ export async function logNotificationHistory(notificationData) {
       data: notificationData.data,
       event_id: notificationData.eventId || null,
       photo_id: notificationData.photoId || null,
-      status: 'sent'
+      status: notificationData.status || 'sent'
     })
     .select('id')
     .single();
@@ -84,48 +149,171 @@ export async function logNotificationHistory(notificationData) {
   return data?.id;
 }
 
-export async function updateNotificationStatus(notificationId, status, timestamp = null) {
+// Options:
+// - fromStatuses: only update rows currently in one of these statuses, so e.g.
+//   a late delivery receipt doesn't overwrite 'opened'
+// - userId: only update the user's own notification
+// - actionId: notification action the user picked (opened/dismissed)
+// Returns true if a row was updated.
+export async function updateNotificationStatus(notificationId, status, timestamp = null, options = {}) {
+  const { fromStatuses = null, userId = null, actionId = null } = options;
   const updateData = { status };
   
   if (timestamp) {
     if (status === 'delivered') {
       updateData.delivered_at = timestamp;
     } else if (status === 'opened') {
+      // Opening a notification also reads it in the inbox
       updateData.opened_at = timestamp;
+      updateData.read_at = timestamp;
+    } else if (status === 'dismissed') {
+      updateData.dismissed_at = timestamp;
     }
   }
 
-  const { error } = await supabase
+  if (actionId) {
+    updateData.action_id = actionId;
+  }
+
+  let query = supabase
     .from('notification_history')
     .update(updateData)
     .eq('id', notificationId);
 
+  if (fromStatuses) {
+    query = query.in('status', fromStatuses);
+  }
+
+  if (userId) {
+    query = query.eq('user_id', userId);
+  }
+
+  const { data, error } = await query.select('id');
+
   if (error) {
     console.error('Error updating notification status:', error);
+    return false;
   }
+
+  return (data?.length || 0) > 0;
 }
 
-export async function shouldSendNotification(userId) {
-  try {
-    // TEMPORARY: Skip preference check for testing
-    // TODO: Fix the RPC function or ensure user preferences are set
-    console.log('⚠️ Bypassing notification preference check for testing');
-    return true;
-    
-    /* Original code - commented for testing
-    const { data, error } = await supabase
-      .rpc('should_send_notification', { user_uuid: userId });
-
-    if (error) {
-      console.error('Error checking notification permissions:', error);
-      return true; // Default to allowing notifications
-    }
+// notification_history ids are UUIDs. Checking ids from requests up front
+// turns a malformed one into a 400 rather than a failed uuid cast.
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-    return data;
-    */
-  } catch (error) {
-    console.error('Error calling should_send_notification function:', error);
-    return true;
+export function isNotificationId(value) {
+  return typeof value === 'string' && UUID_PATTERN.test(value);
+}
+
+// Inbox - the user's notification_history, newest first. Soft-deleted rows and
+// rows that haven't been sent yet are hidden.
+const INBOX_COLUMNS = 'id, notification_type, title, body, data, event_id, photo_id, status, read_at, created_at';
+
+// `before` is a keyset cursor { createdAt, id }: rows strictly older than it
+export async function getInboxNotifications(userId, { limit = 20, before = null } = {}) {
+  let query = supabase
+    .from('notification_history')
+    .select(INBOX_COLUMNS)
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .neq('status', 'pending')
+    .order('created_at', { ascending: false })
+    .order('id', { ascending: false })
+    .limit(limit);
+
+  if (before) {
+    query = query.or(`created_at.lt."${before.createdAt}",and(created_at.eq."${before.createdAt}",id.lt."${before.id}")`);
+  }
+
+  const { data, error } = await query;
+
+  if (error) {
+    console.error('Error fetching inbox notifications:', error);
+    throw new Error('Failed to load notifications');
+  }
+
+  return data || [];
+}
+
+export async function getUnreadNotificationCount(userId) {
+  const { count, error } = await supabase
+    .from('notification_history')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('deleted_at', null)
+    .is('read_at', null)
+    .neq('status', 'pending');
+
+  if (error) {
+    console.error('Error counting unread notifications:', error);
+    throw new Error('Failed to count unread notifications');
+  }
+
+  return count || 0;
+}
+
+// Mark the given notifications read, or all of the user's when `ids` is null.
+// Returns the number of rows changed.
+export async function markNotificationsRead(userId, ids = null) {
+  let query = supabase
+    .from('notification_history')
+    .update({ read_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .is('read_at', null)
+    .is('deleted_at', null);
+
+  if (ids) {
+    query = query.in('id', ids);
+  }
+
+  const { data, error } = await query.select('id');
+
+  if (error) {
+    console.error('Error marking notifications read:', error);
+    throw new Error('Failed to mark notifications read');
+  }
+
+  return data?.length || 0;
+}
+
+// Soft delete: rows stay in history for stats but leave the inbox
+export async function deleteInboxNotifications(userId, ids) {
+  const { data, error } = await supabase
+    .from('notification_history')
+    .update({ deleted_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .in('id', ids)
+    .is('deleted_at', null)
+    .select('id');
+
+  if (error) {
+    console.error('Error deleting inbox notifications:', error);
+    throw new Error('Failed to delete notifications');
+  }
+
+  return data?.length || 0;
+}
+
+// Store Expo push tickets for a notification_history row so receipts can be
+// checked later. `otherDevicesReached` is how many devices the same send
+// reached through other providers, so failed receipts alone don't mark the
+// notification failed.
+export async function storeExpoPushTickets(historyId, tickets, otherDevicesReached = 0) {
+  if (!historyId || tickets.length === 0) return;
+
+  const { error } = await supabase
+    .from('expo_push_tickets')
+    .insert(tickets.map(({ token, ticketId }) => ({
+      ticket_id: ticketId,
+      history_id: historyId,
+      token,
+      status: 'pending',
+      other_devices_reached: otherDevicesReached
+    })));
+
+  if (error) {
+    console.error('Error storing Expo push tickets:', error);
   }
 }
 
@@ -175,9 +363,19 @@ export async function storePushToken(userId, token, platform, deviceId, metadata
       device_id: deviceId,
       updated_at: new Date().toISOString(),
       last_used_at: new Date().toISOString(),
-      is_active: true
+      is_active: true,
+      // A re-registered token starts with a clean failure record
+      failure_count: 0,
+      deactivated_at: null,
+      deactivation_reason: null
     };
 
+    // Web Push subscriptions: token is the endpoint, the keys encrypt payloads
+    if (metadata.webPushKeys) {
+      tokenData.web_push_p256dh = metadata.webPushKeys.p256dh;
+      tokenData.web_push_auth = metadata.webPushKeys.auth;
+    }
+
     if (existing) {
       // Update existing token
       const { error } = await supabase
@@ -217,12 +415,15 @@ export async function storePushToken(userId, token, platform, deviceId, metadata
   }
 }
 
-export async function deactivatePushToken(token) {
+export async function deactivatePushToken(token, reason = null) {
+  const now = new Date().toISOString();
   const { error } = await supabase
     .from('push_tokens')
     .update({ 
       is_active: false,
-      updated_at: new Date().toISOString()
+      deactivated_at: now,
+      deactivation_reason: reason,
+      updated_at: now
     })
     .eq('token', token);
 
@@ -232,4 +433,138 @@ export async function deactivatePushToken(token) {
   }
 
   return true;
+}
+
+// Record a failed delivery against a token. The count is incremented in the
+// database (record_push_token_failure), so concurrent sends to the same token
+// each count. Returns the new failure count, or null if it couldn't be recorded.
+export async function recordPushTokenFailure(token, errorMessage) {
+  const { data, error } = await supabase
+    .rpc('record_push_token_failure', {
+      p_token: token,
+      p_error: errorMessage ? String(errorMessage).substring(0, 500) : null
+    });
+
+  if (error) {
+    console.error('Error recording push token failure:', error);
+    return null;
+  }
+
+  return data;
+}
+
+// Clear failure counters for tokens that delivered successfully
+export async function resetPushTokenFailures(tokens) {
+  const { error } = await supabase
+    .from('push_tokens')
+    .update({
+      failure_count: 0,
+      last_used_at: new Date().toISOString()
+    })
+    .in('token', tokens);
+
+  if (error) {
+    console.error('Error resetting push token failures:', error);
+    return false;
+  }
+
+  return true;
+}
+
+// Notification batches - one open batch per user and notification type
+export async function getOpenNotificationBatch(userId, type) {
+  const { data, error } = await supabase
+    .from('notification_batches')
+    .select('id, user_id, notification_type, notifications, window_started_at, window_ends_at')
+    .eq('user_id', userId)
+    .eq('notification_type', type)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching notification batch:', error);
+    return null;
+  }
+
+  return data;
+}
+
+export async function createNotificationBatch(userId, type, windowEndsAt) {
+  const { data, error } = await supabase
+    .from('notification_batches')
+    .insert({
+      user_id: userId,
+      notification_type: type,
+      notifications: [],
+      window_started_at: new Date().toISOString(),
+      window_ends_at: windowEndsAt.toISOString()
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    // 23505 = another request opened the window first
+    if (error.code !== '23505') {
+      console.error('Error creating notification batch:', error);
+    }
+    return null;
+  }
+
+  return data?.id;
+}
+
+// Append a held notification to an open batch. The append happens in one
+// statement (append_notification_batch_item) so concurrent notifications can't
+// overwrite each other. Returns the notifications to send now - all held ones
+// once maxCount is reached, which empties the batch - or [] when the
+// notification is held. Returns null when the window has closed (or on error),
+// so the caller sends it on its own.
+export async function appendNotificationBatchItem(batchId, item, maxCount) {
+  const { data, error } = await supabase
+    .rpc('append_notification_batch_item', {
+      p_batch_id: batchId,
+      p_item: item,
+      p_max_count: maxCount
+    });
+
+  if (error) {
+    console.error('Error appending to notification batch:', error);
+    return null;
+  }
+
+  return data;
+}
+
+// Take a batch whose window has closed. The batch is deleted as it is read,
+// so when several flushes race for it only one gets it back.
+export async function claimNotificationBatch(batchId) {
+  const { data, error } = await supabase
+    .from('notification_batches')
+    .delete()
+    .eq('id', batchId)
+    .lte('window_ends_at', new Date().toISOString())
+    .select('id, user_id, notification_type, notifications, window_started_at, window_ends_at')
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error claiming notification batch:', error);
+    return null;
+  }
+
+  return data;
+}
+
+export async function getDueNotificationBatches(limit = 50) {
+  const { data, error } = await supabase
+    .from('notification_batches')
+    .select('id, user_id, notification_type, window_ends_at')
+    .lte('window_ends_at', new Date().toISOString())
+    .order('window_ends_at', { ascending: true })
+    .limit(limit);
+
+  if (error) {
+    console.error('Error fetching due notification batches:', error);
+    return [];
+  }
+
+  return data || [];
 }
\ No newline at end of file
@@ -1,133 +1,357 @@
+import crypto from 'crypto';
+import { getTranslator, DEFAULT_LOCALE } from './i18n.js';
+
+// Preference categories - each is a boolean column on notification_preferences.
+// Every template declares the category that switches it on or off.
+export const PREFERENCE_CATEGORIES = [
+  'photo_likes',
+  'community_activity',
+  'event_updates',
+  'peak_activity'
+];
+
+// Like counts at which photo_liked switches to a bigger "popular photo" message.
+// Below the first one every new liker is announced; from there on only
+// reaching the next threshold is.
+export const PHOTO_LIKE_THRESHOLDS = [10, 20, 50, 100];
+
+// Highest like threshold reached by a count (0 below the first)
+export function getPhotoLikeTier(likeCount) {
+  return PHOTO_LIKE_THRESHOLDS.filter(threshold => likeCount >= threshold).pop() || 0;
+}
+
+// Message key suffix for a like count's tier ('tier50', or 'single' below the first)
+function getPhotoLikeTierKey(likeCount) {
+  const tier = getPhotoLikeTier(likeCount || 1);
+  return tier > 0 ? `tier${tier}` : 'single';
+}
+
+// Actionable notification categories. The app registers the same ids and
+// actions (UNNotificationCategory on iOS, setNotificationCategoryAsync with
+// Expo); a tapped action's id comes back as actionId in the ack.
+// `opensApp` actions bring the app to the foreground. Titles here are the
+// English defaults; sent titles come from the actions.* catalog messages.
+export const NOTIFICATION_ACTION_CATEGORIES = {
+  PHOTO_INTERACTION: [
+    { id: 'like_back', title: 'Like back' },
+    { id: 'view_photo', title: 'View photo', opensApp: true }
+  ],
+  COMMUNITY_UPDATE: [
+    { id: 'view_gallery', title: 'View gallery', opensApp: true }
+  ],
+  EVENT_UPDATE: [
+    { id: 'open_event', title: 'Open event', opensApp: true }
+  ],
+  EVENT_REMINDER: [
+    { id: 'open_event', title: 'Open event', opensApp: true }
+  ],
+  ACTIVITY_UPDATE: [
+    { id: 'open_event', title: 'Open event', opensApp: true }
+  ]
+};
+
+// iOS interruption level for each template priority; a template can set
+// interruptionLevel to override it. time-sensitive breaks through Focus modes,
+// so it's kept for things happening right now.
+export const INTERRUPTION_LEVELS = {
+  high: 'time-sensitive',
+  medium: 'active',
+  low: 'passive'
+};
+
 // Notification templates matching the PartySnap UX design
+//
+// Presentation fields shared by all transports:
+// - actionCategory: key of NOTIFICATION_ACTION_CATEGORIES (APNs category)
+// - threadId: grouping for notifications without an event; ones about an
+//   event are threaded per event so its pushes stack together
+// - interruptionLevel: optional override of INTERRUPTION_LEVELS[priority]
+// - relevanceScore: 0-1, ranks the notification in the iOS summary
+// - collapseKey: pattern filled from data ({photoId}); a newer notification
+//   with the same key replaces the older one on the device instead of
+//   stacking. No key (or a missing value) means notifications stack.
+// - ttlSeconds: how long push services keep trying to deliver it; after
+//   that an undelivered notification is dropped rather than shown late
+// - expiresAt(data): optional absolute expiry, e.g. the event start for
+//   "starting soon"; the earlier of the two applies
+// - image: 'photo' (data.photoId) or 'event_photo' (newest photo of
+//   data.eventId), attached as a signed URL - see lib/notification-images.js
 export const NOTIFICATION_TEMPLATES = {
   photo_liked: {
-    title: (data) => {
-      const count = data.likeCount || 1;
-      if (count >= 100) return 'Your photo is on fire! 🔥';
-      if (count >= 50) return 'Your photo is trending! ⭐';
-      if (count >= 20) return 'Your photo is popular! 👏';
-      if (count >= 10) return 'People love your photo! ❤️';
-      return 'Someone liked your photo! 👍';
-    },
-    body: (data) => {
-      const count = data.likeCount || 1;
-      const eventName = data.eventName || 'your event';
-      if (count >= 100) return `${count} likes and counting at ${eventName}!`;
-      if (count >= 50) return `${count} people have liked your photo from ${eventName}`;
-      if (count >= 20) return `${count} likes on your photo from ${eventName}`;
-      if (count >= 10) return `${count} people liked your photo from ${eventName}`;
-      return `Your photo from ${eventName} got a new like`;
-    },
+    title: (data, t) => t(`photo_liked.title.${getPhotoLikeTierKey(data.likeCount)}`),
+    body: (data, t) => t(`photo_liked.body.${getPhotoLikeTierKey(data.likeCount)}`, {
+      count: data.likeCount || 1,
+      eventName: data.eventName || t('common.yourEvent')
+    }),
     type: 'photo_liked',
+    category: 'photo_likes',
     priority: 'high',
     channel: 'photo-likes',
     sound: 'default',
-    vibration: true
+    vibration: true,
+    actionCategory: 'PHOTO_INTERACTION',
+    threadId: 'photo-interactions',
+    collapseKey: 'photo_liked:{photoId}',
+    interruptionLevel: 'active',
+    ttlSeconds: 24 * 60 * 60,
+    relevanceScore: 0.6,
+    image: 'photo'
   },
 
   gallery_unlocked: {
-    title: (data) => 'Gallery unlocked! 📸',
-    body: (data) => {
-      const eventName = data.eventName || 'your event';
-      return `Photos from ${eventName} are now available to view and download`;
-    },
+    title: (data, t) => t('gallery_unlocked.title'),
+    body: (data, t) => t('gallery_unlocked.body', {
+      eventName: data.eventName || t('common.yourEvent')
+    }),
     type: 'gallery_unlocked',
+    category: 'community_activity',
     priority: 'high',
     channel: 'community',
     sound: 'default',
-    vibration: true
+    vibration: true,
+    actionCategory: 'COMMUNITY_UPDATE',
+    threadId: 'community-updates',
+    interruptionLevel: 'active',
+    ttlSeconds: 3 * 24 * 60 * 60,
+    relevanceScore: 0.8
   },
 
   community_milestone: {
-    title: (data) => {
-      const milestone = data.milestone || 100;
-      return `${milestone} photos milestone! 🎉`;
-    },
-    body: (data) => {
-      const eventName = data.eventName || 'your event';
-      const milestone = data.milestone || 100;
-      return `${eventName} just reached ${milestone} amazing photos shared by the community`;
-    },
+    title: (data, t) => t('community_milestone.title', { milestone: data.milestone || 100 }),
+    body: (data, t) => t('community_milestone.body', {
+      eventName: data.eventName || t('common.yourEvent'),
+      milestone: data.milestone || 100
+    }),
     type: 'community_milestone',
+    category: 'community_activity',
     priority: 'medium',
     channel: 'community',
     sound: 'default',
-    vibration: false
+    vibration: false,
+    actionCategory: 'COMMUNITY_UPDATE',
+    threadId: 'community-updates',
+    collapseKey: 'community_milestone:{eventId}',
+    ttlSeconds: 24 * 60 * 60,
+    relevanceScore: 0.5,
+    image: 'event_photo'
   },
 
   event_live: {
-    title: (data) => 'Event is live! 🎉',
-    body: (data) => {
-      const eventName = data.eventName || 'Your event';
-      return `${eventName} has started! Start capturing and sharing memories`;
-    },
+    title: (data, t) => t('event_live.title'),
+    body: (data, t) => t('event_live.body', {
+      eventName: data.eventName || t('common.yourEventStart')
+    }),
     type: 'event_live',
+    category: 'event_updates',
     priority: 'high',
     channel: 'event-updates',
     sound: 'event_start',
-    vibration: true
+    vibration: true,
+    actionCategory: 'EVENT_UPDATE',
+    threadId: 'event-updates',
+    collapseKey: 'event_status:{eventId}',
+    ttlSeconds: 6 * 60 * 60,
+    relevanceScore: 1
   },
 
   event_starting: {
-    title: (data) => 'Event starting soon! ⏰',
-    body: (data) => {
-      const eventName = data.eventName || 'Your event';
-      const minutes = data.minutesUntilStart || 15;
-      return `${eventName} starts in ${minutes} minutes. Get ready to capture memories!`;
-    },
+    title: (data, t) => t('event_starting.title'),
+    body: (data, t) => t('event_starting.body', {
+      eventName: data.eventName || t('common.yourEventStart'),
+      minutes: data.minutesUntilStart || 15
+    }),
     type: 'event_starting',
+    category: 'event_updates',
     priority: 'high',
     channel: 'event-updates',
     sound: 'default',
-    vibration: true
+    vibration: true,
+    actionCategory: 'EVENT_UPDATE',
+    threadId: 'event-updates',
+    collapseKey: 'event_status:{eventId}',
+    ttlSeconds: 60 * 60,
+    expiresAt: (data) => data.startTime, // Pointless once the event has started
+    relevanceScore: 0.9
   },
 
   event_reminder: {
-    title: (data) => 'Don\'t forget your event! 📅',
-    body: (data) => {
-      const eventName = data.eventName || 'Your event';
-      const hours = data.hoursUntilStart || 1;
-      return `${eventName} is in ${hours} ${hours === 1 ? 'hour' : 'hours'}. Make sure you're ready!`;
-    },
+    title: (data, t) => t('event_reminder.title'),
+    body: (data, t) => t('event_reminder.body', {
+      eventName: data.eventName || t('common.yourEventStart'),
+      hours: data.hoursUntilStart || 1
+    }),
     type: 'event_reminder',
+    category: 'event_updates',
     priority: 'medium',
     channel: 'event-updates',
     sound: 'gentle_reminder',
-    vibration: false
+    vibration: false,
+    actionCategory: 'EVENT_REMINDER',
+    threadId: 'event-reminders',
+    collapseKey: 'event_status:{eventId}',
+    ttlSeconds: 6 * 60 * 60,
+    expiresAt: (data) => data.startTime, // Pointless once the event has started
+    relevanceScore: 0.7
   },
 
   peak_activity: {
-    title: (data) => 'Peak activity happening! ⚡',
-    body: (data) => {
-      const eventName = data.eventName || 'your event';
-      const photoCount = data.recentPhotoCount || 'Many';
-      return `${photoCount} photos shared in the last hour at ${eventName}. Join the action!`;
-    },
+    title: (data, t) => t('peak_activity.title'),
+    body: (data, t) => t(data.recentPhotoCount ? 'peak_activity.body' : 'peak_activity.bodyNoCount', {
+      eventName: data.eventName || t('common.yourEvent'),
+      count: data.recentPhotoCount
+    }),
     type: 'peak_activity',
+    category: 'peak_activity',
     priority: 'low',
     channel: 'peak-activity',
     sound: 'subtle',
-    vibration: false
+    vibration: false,
+    actionCategory: 'ACTIVITY_UPDATE',
+    threadId: 'activity-updates',
+    collapseKey: 'peak_activity:{eventId}',
+    ttlSeconds: 60 * 60,
+    relevanceScore: 0.3,
+    image: 'event_photo'
+  },
+
+  // Digest of notifications held back during the user's quiet hours
+  quiet_hours_digest: {
+    title: (data, t) => t('quiet_hours_digest.title'),
+    body: (data, t) => {
+      const counts = data.counts || {};
+      const likes = counts.photo_liked || 0;
+      const updates = Object.entries(counts)
+        .filter(([type]) => type !== 'photo_liked')
+        .reduce((sum, [, count]) => sum + count, 0);
+
+      if (likes > 0 && updates > 0) return t('quiet_hours_digest.body.likesAndUpdates', { likes, updates });
+      if (likes > 0) return t('quiet_hours_digest.body.likes', { likes });
+      if (updates > 0) return t('quiet_hours_digest.body.updates', { updates });
+      return t('quiet_hours_digest.body.empty');
+    },
+    type: 'quiet_hours_digest',
+    category: null, // Only holds notifications whose categories were already allowed
+    priority: 'medium',
+    channel: 'community',
+    sound: 'default',
+    vibration: false,
+    actionCategory: null,
+    threadId: 'quiet-hours-digest',
+    collapseKey: 'quiet_hours_digest',
+    ttlSeconds: 12 * 60 * 60,
+    relevanceScore: 0.4
   }
 };
 
-// Generate notification content based on template and data
-export function buildNotification(type, data = {}) {
+// Get the preference category a notification type belongs to
+export function getPreferenceCategory(type) {
+  return NOTIFICATION_TEMPLATES[type]?.category ?? null;
+}
+
+// Decide whether a user wants this notification type. A per-type override in
+// preferences.type_overrides wins, then the category toggle, then the default.
+export function isNotificationTypeEnabled(preferences, type) {
+  const override = preferences?.type_overrides?.[type];
+  if (typeof override === 'boolean') {
+    return override;
+  }
+
+  const category = getPreferenceCategory(type);
+  if (category && typeof preferences?.[category] === 'boolean') {
+    return preferences[category];
+  }
+
+  return DEFAULT_SETTINGS[type]?.enabled ?? true;
+}
+
+// APNs rejects apns-collapse-id values over 64 bytes
+const MAX_COLLAPSE_KEY_BYTES = 64;
+
+// Fill a template's collapseKey pattern from the notification data.
+// Null when the template has none or a placeholder has no value.
+export function getCollapseKey(pattern, data = {}) {
+  if (!pattern) return null;
+
+  let complete = true;
+  const key = pattern.replace(/\{(\w+)\}/g, (match, field) => {
+    const value = data[field];
+    if (value === undefined || value === null || value === '') {
+      complete = false;
+      return '';
+    }
+    return String(value);
+  });
+
+  if (!complete) return null;
+
+  // Keep long keys unique rather than truncating them into collisions
+  if (Buffer.byteLength(key) > MAX_COLLAPSE_KEY_BYTES) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, MAX_COLLAPSE_KEY_BYTES);
+  }
+  return key;
+}
+
+// Notifications without a ttlSeconds are kept for as long as APNs used to
+const DEFAULT_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Absolute expiry (ISO string) of a notification built now: now + ttlSeconds,
+// or the template's expiresAt(data) when that is earlier
+export function getNotificationExpiry(template, data = {}, now = Date.now()) {
+  let expiresAt = now + (template.ttlSeconds ?? DEFAULT_TTL_SECONDS) * 1000;
+
+  const absolute = typeof template.expiresAt === 'function' ? template.expiresAt(data) : null;
+  const absoluteMs = absolute ? new Date(absolute).getTime() : NaN;
+  if (!Number.isNaN(absoluteMs) && absoluteMs < expiresAt) {
+    expiresAt = absoluteMs;
+  }
+
+  return new Date(expiresAt).toISOString();
+}
+
+// Seconds a notification still has to live (0 once expired), for transports
+// that take a relative TTL. Undefined when it has no expiry.
+export function getRemainingTtlSeconds(notification, now = Date.now()) {
+  if (!notification.expiresAt) return undefined;
+  return Math.max(0, Math.floor((new Date(notification.expiresAt).getTime() - now) / 1000));
+}
+
+// Category, actions, thread, collapse key, expiry and iOS presentation for a
+// template. Notifications about an event share that event's thread.
+function getPresentation(template, data, t) {
+  const eventId = data.eventId || null;
+  const actions = NOTIFICATION_ACTION_CATEGORIES[template.actionCategory] || [];
+  return {
+    expiresAt: getNotificationExpiry(template, data),
+    collapseKey: getCollapseKey(template.collapseKey, data),
+    actionCategory: template.actionCategory || null,
+    actions: actions.map(action => ({ ...action, title: t(`actions.${action.id}`) })),
+    threadId: eventId ? `event-${eventId}` : template.threadId,
+    interruptionLevel: template.interruptionLevel || INTERRUPTION_LEVELS[template.priority] || 'active',
+    relevanceScore: template.relevanceScore ?? 0.5
+  };
+}
+
+// Generate notification content based on template and data, in the user's
+// locale (see lib/i18n.js for the catalogs and fallback)
+export function buildNotification(type, data = {}, locale = DEFAULT_LOCALE) {
   const template = NOTIFICATION_TEMPLATES[type];
   
   if (!template) {
     throw new Error(`Unknown notification type: ${type}`);
   }
 
+  const t = getTranslator(locale);
+
   const notification = {
     type: template.type,
-    title: typeof template.title === 'function' ? template.title(data) : template.title,
-    body: typeof template.body === 'function' ? template.body(data) : template.body,
+    title: template.title(data, t),
+    body: template.body(data, t),
     priority: template.priority,
     channel: template.channel,
     sound: template.sound,
     vibration: template.vibration,
     imageUrl: data.imageUrl || null,
+    ...getPresentation(template, data, t),
     data: {
       ...data,
       notificationType: template.type,
@@ -144,14 +368,15 @@ export const BATCHING_RULES = {
     enabled: true,
     windowMinutes: 30,
     maxCount: 5,
-    template: (notifications) => {
+    template: (notifications, t) => {
       const totalLikes = notifications.reduce((sum, n) => sum + (n.data.likeCount || 1), 0);
       const events = [...new Set(notifications.map(n => n.data.eventName))];
-      const eventText = events.length === 1 ? events[0] : `${events.length} events`;
       
       return {
-        title: `${totalLikes} total likes! 🔥`,
-        body: `Your photos from ${eventText} are getting lots of love`,
+        title: t('photo_liked_batch.title', { totalLikes }),
+        body: events.length === 1
+          ? t('photo_liked_batch.body.oneEvent', { eventName: events[0] || t('common.yourEvent') })
+          : t('photo_liked_batch.body.manyEvents', { eventCount: events.length }),
         type: 'photo_liked_batch',
         data: {
           batchedCount: notifications.length,
@@ -166,13 +391,13 @@ export const BATCHING_RULES = {
     enabled: true,
     windowMinutes: 60,
     maxCount: 3,
-    template: (notifications) => {
+    template: (notifications, t) => {
       const events = [...new Set(notifications.map(n => n.data.eventName))];
       const milestones = notifications.map(n => n.data.milestone || 100);
       
       return {
-        title: 'Multiple milestones reached! 🎉',
-        body: `${events.length} ${events.length === 1 ? 'event has' : 'events have'} hit photo milestones`,
+        title: t('community_milestone_batch.title'),
+        body: t('community_milestone_batch.body', { eventCount: events.length }),
         type: 'community_milestone_batch',
         data: {
           batchedCount: notifications.length,
@@ -187,12 +412,12 @@ export const BATCHING_RULES = {
     enabled: true,
     windowMinutes: 120,
     maxCount: 2,
-    template: (notifications) => {
+    template: (notifications, t) => {
       const events = [...new Set(notifications.map(n => n.data.eventName))];
       
       return {
-        title: 'High activity across events! ⚡',
-        body: `${events.length} ${events.length === 1 ? 'event is' : 'events are'} buzzing with activity`,
+        title: t('peak_activity_batch.title'),
+        body: t('peak_activity_batch.body', { eventCount: events.length }),
         type: 'peak_activity_batch',
         data: {
           batchedCount: notifications.length,
@@ -226,26 +451,51 @@ export function canBatch(type, existingNotifications, newNotification) {
 }
 
 // Create batched notification from multiple notifications
-export function createBatchedNotification(type, notifications) {
+export function createBatchedNotification(type, notifications, locale = DEFAULT_LOCALE) {
   const rules = BATCHING_RULES[type];
   
   if (!rules || !rules.template) {
     throw new Error(`No batching template for type: ${type}`);
   }
 
-  return rules.template(notifications);
+  return rules.template(notifications, getTranslator(locale));
 }
 
-// Validate notification data
+// Build a sendable digest (same shape as buildNotification) from held notifications
+export function buildBatchedNotification(type, notifications, locale = DEFAULT_LOCALE) {
+  const template = NOTIFICATION_TEMPLATES[type];
+  const batched = createBatchedNotification(type, notifications, locale);
+
+  // A digest about a single event stays in that event's thread
+  const eventIds = [...new Set(notifications.map(n => n.data?.eventId).filter(Boolean))];
+
+  return {
+    type: batched.type,
+    title: batched.title,
+    body: batched.body,
+    priority: template.priority,
+    channel: template.channel,
+    sound: template.sound,
+    vibration: template.vibration,
+    imageUrl: null,
+    ...getPresentation(template, eventIds.length === 1 ? { eventId: eventIds[0] } : {}, getTranslator(locale)),
+    data: {
+      ...batched.data,
+      notificationType: batched.type,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// Validate notification data. eventName is optional: every template falls
+// back to the localized "your event".
 export function validateNotificationData(type, data) {
   const required = {
-    photo_liked: ['eventName', 'likeCount'],
-    gallery_unlocked: ['eventName'],
-    community_milestone: ['eventName', 'milestone'],
-    event_live: ['eventName'],
-    event_starting: ['eventName', 'minutesUntilStart'],
-    event_reminder: ['eventName', 'hoursUntilStart'],
-    peak_activity: ['eventName', 'recentPhotoCount']
+    photo_liked: ['likeCount'],
+    community_milestone: ['milestone'],
+    event_starting: ['minutesUntilStart'],
+    event_reminder: ['hoursUntilStart'],
+    peak_activity: ['recentPhotoCount']
   };
 
   const requiredFields = required[type] || [];
@@ -306,5 +556,42 @@ export const DEFAULT_SETTINGS = {
     enabled: true,
     batchEnabled: true,
     quietHours: true
+  },
+  quiet_hours_digest: {
+    enabled: true,
+    batchEnabled: false,
+    quietHours: true
   }
-};
\ No newline at end of file
+};
+
+// Rate limits by notification type. Each rule is a sliding window enforced in Redis.
+// scope: 'user' (per recipient), 'user_event' (per recipient, per event) or
+// 'global' (across all recipients). Types without an entry use `default`.
+export const RATE_LIMIT_RULES = {
+  photo_liked: [
+    { scope: 'user', limit: 10, windowSeconds: 60 },
+    { scope: 'user_event', limit: 30, windowSeconds: 60 * 60 },
+    { scope: 'global', limit: 5000, windowSeconds: 60 }
+  ],
+  gallery_unlocked: [
+    { scope: 'user_event', limit: 1, windowSeconds: 60 * 60 }
+  ],
+  event_live: [
+    { scope: 'user', limit: 1, windowSeconds: 60 },
+    { scope: 'user_event', limit: 1, windowSeconds: 60 * 60 }
+  ],
+  event_starting: [
+    { scope: 'user', limit: 1, windowSeconds: 60 },
+    { scope: 'user_event', limit: 1, windowSeconds: 60 * 60 }
+  ],
+  community_milestone: [
+    { scope: 'user', limit: 3, windowSeconds: 60 }
+  ],
+  peak_activity: [
+    { scope: 'user', limit: 2, windowSeconds: 60 },
+    { scope: 'user_event', limit: 1, windowSeconds: 30 * 60 }
+  ],
+  default: [
+    { scope: 'user', limit: 5, windowSeconds: 60 }
+  ]
+};
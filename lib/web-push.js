@@ -0,0 +1,173 @@
+import webpush from 'web-push';
+import { getRemainingTtlSeconds } from './templates.js';
+
+// Push services drop a subscription for good with 404 or 410
+const EXPIRED_SUBSCRIPTION_STATUSES = [404, 410];
+
+// Keep undelivered messages without a template TTL for a day; browsers that
+// stay offline longer catch up through the inbox
+const WEB_PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+// Concurrent requests per batch
+const BATCH_SIZE = 50;
+
+let vapidConfigured = false;
+
+function initializeWebPush() {
+  if (vapidConfigured) {
+    return;
+  }
+
+  const { VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY, VAPID_SUBJECT } = process.env;
+
+  if (!VAPID_PUBLIC_KEY || !VAPID_PRIVATE_KEY || !VAPID_SUBJECT) {
+    throw new Error('Missing Web Push configuration. Please check VAPID environment variables.');
+  }
+
+  webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+  vapidConfigured = true;
+  console.log('✅ Web Push VAPID details configured');
+}
+
+/**
+ * Build a Push API subscription from a push_tokens row
+ * @param {object} tokenRecord - Row with token (endpoint), web_push_p256dh and web_push_auth
+ * @returns {object} Subscription in the shape PushManager.subscribe() returns
+ */
+export function toWebPushSubscription(tokenRecord) {
+  return {
+    endpoint: tokenRecord.token,
+    keys: {
+      p256dh: tokenRecord.web_push_p256dh,
+      auth: tokenRecord.web_push_auth
+    }
+  };
+}
+
+/**
+ * Payload read by the service worker's push handler. Silent messages carry
+ * only the badge, for navigator.setAppBadge().
+ */
+function buildWebPushPayload(notification, data = {}) {
+  const payload = {
+    type: notification.type,
+    silent: !!notification.silent,
+    badge: notification.badge,
+    data: {
+      ...data,
+      type: notification.type,
+      timestamp: new Date().toISOString()
+    }
+  };
+
+  if (!notification.silent) {
+    payload.title = notification.title;
+    payload.body = notification.body;
+    if (notification.imageUrl) {
+      payload.image = notification.imageUrl;
+    }
+    // In the shape showNotification() takes
+    payload.actions = (notification.actions || []).map(action => ({ action: action.id, title: action.title }));
+    payload.data.threadId = notification.threadId;
+    // showNotification() replaces an open notification with the same tag
+    payload.tag = notification.collapseKey || undefined;
+  }
+
+  return JSON.stringify(payload);
+}
+
+/**
+ * Send an encrypted, VAPID-signed message to one subscription
+ * @param {object} subscription - { endpoint, keys: { p256dh, auth } }
+ * @param {object} notification - Notification content (title, body, etc.)
+ * @param {object} data - Additional data to send with notification
+ * @returns {object} Result with success status; shouldDeactivate for expired subscriptions
+ */
+export async function sendWebPushNotification(subscription, notification, data = {}) {
+  try {
+    initializeWebPush();
+
+    const response = await webpush.sendNotification(
+      subscription,
+      buildWebPushPayload(notification, data),
+      {
+        TTL: getRemainingTtlSeconds(notification) ?? WEB_PUSH_TTL_SECONDS,
+        urgency: notification.silent ? 'low' : 'high'
+      }
+    );
+
+    return { success: true, statusCode: response.statusCode };
+
+  } catch (error) {
+    const shouldDeactivate = EXPIRED_SUBSCRIPTION_STATUSES.includes(error.statusCode);
+
+    if (!shouldDeactivate) {
+      console.error('❌ Error sending Web Push notification:', error.statusCode || '', error.body || error.message);
+    }
+
+    return {
+      success: false,
+      error: error.statusCode ? `HTTP ${error.statusCode}` : error.message,
+      statusCode: error.statusCode,
+      shouldDeactivate
+    };
+  }
+}
+
+/**
+ * Send to multiple subscriptions
+ * @param {Array} subscriptions - { endpoint, keys } objects
+ * @returns {object} { success, results: [{ endpoint, success, error, shouldDeactivate }] }
+ */
+export async function sendBatchWebPushNotifications(subscriptions, notification, data = {}) {
+  try {
+    initializeWebPush();
+
+    const results = [];
+
+    for (let i = 0; i < subscriptions.length; i += BATCH_SIZE) {
+      const batch = subscriptions.slice(i, i + BATCH_SIZE);
+
+      const batchResults = await Promise.all(batch.map(async (subscription) => ({
+        endpoint: subscription.endpoint,
+        ...(await sendWebPushNotification(subscription, notification, data))
+      })));
+
+      results.push(...batchResults);
+    }
+
+    const successCount = results.filter(r => r.success).length;
+    console.log(`✅ Web Push batch sent: ${successCount}/${subscriptions.length} successful`);
+
+    return { success: true, results };
+
+  } catch (error) {
+    console.error('❌ Error sending batch Web Push notifications:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Validate a subscription's format (the push service is only contacted on send)
+ */
+export function validateWebPushSubscription(subscription) {
+  const { endpoint, keys } = subscription || {};
+  const base64url = /^[A-Za-z0-9_-]+={0,2}$/;
+
+  let url;
+  try {
+    url = new URL(endpoint);
+  } catch (error) {
+    return { valid: false, error: 'Subscription endpoint must be a URL' };
+  }
+
+  if (url.protocol !== 'https:') {
+    return { valid: false, error: 'Subscription endpoint must use https' };
+  }
+
+  if (!keys || !base64url.test(keys.p256dh || '') || !base64url.test(keys.auth || '')) {
+    return { valid: false, error: 'Subscription keys p256dh and auth are required' };
+  }
+
+  return { valid: true, error: null };
+}
@@ -0,0 +1,173 @@
+/**
+ * Webhook Signature Verification
+ * HMAC-SHA256 signed Supabase webhooks with replay protection
+ *
+ * Senders sign `<timestamp>.<raw body>` and send it as
+ *   x-webhook-signature: t=<unix seconds>,v1=<hex hmac>
+ * Several v1 entries may be sent (e.g. one per secret while rotating).
+ *
+ * WEBHOOK_SECRETS is a comma-separated list of accepted secrets (falls back
+ * to WEBHOOK_SECRET). To rotate: add the new secret to the list, switch the
+ * sender to it, then remove the old one.
+ *
+ * Each signature is accepted once: it is stored in Redis for longer than the
+ * timestamp tolerance, so a captured request can't be replayed.
+ */
+
+import crypto from 'crypto';
+import { setIfNotExists, deleteCachedData } from './redis.js';
+
+const SIGNATURE_HEADER = 'x-webhook-signature';
+const LEGACY_SECRET_HEADER = 'x-webhook-secret';
+const SIGNATURE_VERSION = 'v1';
+
+// Max clock difference between the sender's timestamp and ours
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+const NONCE_PREFIX = 'webhook:nonce:';
+
+export function getWebhookSecrets() {
+  const secrets = process.env.WEBHOOK_SECRETS || process.env.WEBHOOK_SECRET || '';
+  return secrets.split(',').map(secret => secret.trim()).filter(Boolean);
+}
+
+/**
+ * Sign a raw body - used by senders and tests
+ */
+export function computeWebhookSignature(secret, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+/**
+ * Build the signature header value for a raw body
+ */
+export function signWebhookPayload(secret, rawBody, timestamp = Math.floor(Date.now() / 1000)) {
+  return `t=${timestamp},${SIGNATURE_VERSION}=${computeWebhookSignature(secret, timestamp, rawBody)}`;
+}
+
+/**
+ * Read the exact request body, or null if only a parsed copy is left
+ *
+ * @vercel/node reads the stream before the handler runs and parses the body by
+ * content type: a text/plain body is kept as the string that was sent, while
+ * a JSON body comes back as an object whose original bytes are lost.
+ */
+export async function readRawBody(req) {
+  if (typeof req.body === 'string') return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString('utf8');
+  if (req.body !== undefined && req.body !== null) return null;
+
+  if (typeof req[Symbol.asyncIterator] !== 'function' || req.readableEnded) {
+    return null;
+  }
+
+  const chunks = [];
+  for await (const chunk of req) {
+    chunks.push(typeof chunk === 'string' ? Buffer.from(chunk) : chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Does the request carry a signature (as opposed to the legacy shared secret)?
+ */
+export function isSignedWebhookRequest(headers) {
+  return Boolean(headers[SIGNATURE_HEADER]);
+}
+
+function parseSignatureHeader(header) {
+  const parsed = { timestamp: null, signatures: [] };
+
+  String(header).split(',').forEach(part => {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') {
+      parsed.timestamp = Number(value);
+    } else if (key === SIGNATURE_VERSION && value) {
+      parsed.signatures.push(value);
+    }
+  });
+
+  return parsed;
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Verify a webhook request against the configured secrets
+ * Returns { valid, reason, nonce } - the nonce must be claimed with
+ * claimWebhookNonce before the payload is processed
+ */
+export function verifyWebhookRequest(headers, rawBody, now = Date.now()) {
+  const secrets = getWebhookSecrets();
+  if (secrets.length === 0) {
+    return { valid: false, reason: 'No webhook secret configured' };
+  }
+
+  const header = headers[SIGNATURE_HEADER];
+
+  if (!header) {
+    // Static shared secret, only while senders are being moved to signing
+    const legacySecret = headers[LEGACY_SECRET_HEADER];
+    if (process.env.WEBHOOK_ALLOW_LEGACY_SECRET === 'true' && legacySecret &&
+        secrets.some(secret => safeEqual(secret, legacySecret))) {
+      console.warn('⚠️ Accepted unsigned webhook via legacy x-webhook-secret header');
+      return { valid: true, reason: 'legacy_secret', nonce: null };
+    }
+    return { valid: false, reason: 'Missing signature' };
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (!Number.isFinite(timestamp) || signatures.length === 0) {
+    return { valid: false, reason: 'Malformed signature header' };
+  }
+
+  if (Math.abs(now / 1000 - timestamp) > TIMESTAMP_TOLERANCE_SECONDS) {
+    return { valid: false, reason: 'Timestamp outside tolerance' };
+  }
+
+  for (const secret of secrets) {
+    const expected = computeWebhookSignature(secret, timestamp, rawBody);
+    const match = signatures.find(signature => safeEqual(signature, expected));
+    if (match) {
+      return { valid: true, reason: null, nonce: match };
+    }
+  }
+
+  return { valid: false, reason: 'Signature mismatch' };
+}
+
+/**
+ * Record a signature as used. Returns false if it was already seen (replay).
+ * Fails open when Redis is unavailable, relying on the timestamp tolerance.
+ */
+export async function claimWebhookNonce(nonce) {
+  if (!nonce) return true;
+
+  const claimed = await setIfNotExists(
+    `${NONCE_PREFIX}${nonce}`,
+    { received_at: new Date().toISOString() },
+    TIMESTAMP_TOLERANCE_SECONDS * 2
+  );
+
+  if (claimed === null) {
+    console.warn('⚠️ Redis unavailable, webhook replay check skipped');
+    return true;
+  }
+
+  return claimed;
+}
+
+/**
+ * Forget a signature so the sender can retry a delivery that failed
+ */
+export async function releaseWebhookNonce(nonce) {
+  if (!nonce) return;
+  await deleteCachedData(`${NONCE_PREFIX}${nonce}`);
+}
@@ -0,0 +1,19 @@
+-- Event reminders - each participant gets each reminder once per event
+-- Run this in Supabase SQL Editor
+
+-- Reminders are queued with dedupe_key = '<type>:<event_id>:<user_id>'.
+-- NULLs don't conflict, so other queued notifications are unaffected.
+ALTER TABLE notification_queue
+ADD COLUMN IF NOT EXISTS dedupe_key TEXT;
+
+ALTER TABLE notification_queue
+DROP CONSTRAINT IF EXISTS notification_queue_dedupe_key_key;
+
+ALTER TABLE notification_queue
+ADD CONSTRAINT notification_queue_dedupe_key_key UNIQUE (dedupe_key);
+
+-- The reminder scan looks up upcoming events by start time
+CREATE INDEX IF NOT EXISTS idx_events_start_time
+ON events(start_time);
+
+COMMENT ON COLUMN notification_queue.dedupe_key IS 'Unique key for notifications that must only be queued once (e.g. event reminders per event and participant)';
@@ -0,0 +1,28 @@
+-- Expo push tickets - kept until their delivery receipt has been checked
+-- Run this in Supabase SQL Editor
+
+CREATE TABLE IF NOT EXISTS expo_push_tickets (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  ticket_id TEXT NOT NULL UNIQUE,
+  history_id UUID REFERENCES notification_history(id) ON DELETE CASCADE,
+  token TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending', -- pending, delivered, failed, expired
+  error_message TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  checked_at TIMESTAMPTZ
+);
+
+-- The receipts task polls pending tickets oldest first
+CREATE INDEX IF NOT EXISTS idx_expo_push_tickets_pending
+ON expo_push_tickets(created_at)
+WHERE status = 'pending';
+
+-- Devices the same send reached through other providers (APNs, FCM, Web Push)
+ALTER TABLE expo_push_tickets
+ADD COLUMN IF NOT EXISTS other_devices_reached INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_expo_push_tickets_history
+ON expo_push_tickets(history_id);
+
+COMMENT ON TABLE expo_push_tickets IS 'Expo push tickets per notification_history row; receipts are checked by the process-all receipts task';
+COMMENT ON COLUMN expo_push_tickets.other_devices_reached IS 'Devices reached by non-Expo providers in the same send; failed receipts only mark the history row failed when this is 0';
@@ -0,0 +1,19 @@
+-- In-app notification inbox - read state and soft delete on notification_history
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE notification_history
+ADD COLUMN IF NOT EXISTS read_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+
+-- Inbox pages: newest first per user, keyset paginated on (created_at, id)
+CREATE INDEX IF NOT EXISTS idx_notification_history_inbox
+ON notification_history(user_id, created_at DESC, id DESC)
+WHERE deleted_at IS NULL;
+
+-- Unread counts
+CREATE INDEX IF NOT EXISTS idx_notification_history_unread
+ON notification_history(user_id)
+WHERE read_at IS NULL AND deleted_at IS NULL;
+
+COMMENT ON COLUMN notification_history.read_at IS 'When the user read the notification in the inbox (or opened the push)';
+COMMENT ON COLUMN notification_history.deleted_at IS 'Removed from the inbox by the user; kept for stats until history cleanup';
@@ -0,0 +1,7 @@
+-- Localized notifications - the language notifications are written in
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS locale TEXT DEFAULT 'en';
+
+COMMENT ON COLUMN notification_preferences.locale IS 'BCP 47 language tag (en, es-MX); messages fall back to the base language and then English';
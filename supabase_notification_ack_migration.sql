@@ -0,0 +1,12 @@
+-- Notification acknowledgements - the app reports delivered/opened/dismissed
+-- Run this in Supabase SQL Editor
+
+-- History rows are now created as 'pending' before sending, then moved to
+-- 'sent'/'failed', and on to 'delivered', 'opened' or 'dismissed' by the app
+ALTER TABLE notification_history
+ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS opened_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS dismissed_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS action_id TEXT;
+
+COMMENT ON COLUMN notification_history.action_id IS 'Notification action the user picked when opening or dismissing';
@@ -0,0 +1,60 @@
+-- Notification batching - holds notifications during a batching window
+-- Run this in Supabase SQL Editor before enabling batch_mode for users
+
+CREATE TABLE IF NOT EXISTS notification_batches (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  user_id UUID REFERENCES auth.users(id) ON DELETE CASCADE,
+  notification_type TEXT NOT NULL,
+  notifications JSONB NOT NULL DEFAULT '[]'::jsonb,
+  window_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  window_ends_at TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE(user_id, notification_type)
+);
+
+-- The queue cron flushes batches whose window has closed
+CREATE INDEX IF NOT EXISTS idx_notification_batches_window_ends_at
+ON notification_batches(window_ends_at);
+
+COMMENT ON TABLE notification_batches IS 'Open batching window per user and notification type';
+COMMENT ON COLUMN notification_batches.notifications IS 'Held notifications: [{ data, created_at }] sent as one digest when the window closes or hits maxCount';
+
+-- Append a held notification to an open batch in one statement, so concurrent
+-- notifications can't overwrite each other's read-modify-write. The row lock
+-- taken by the UPDATE also serializes the maxCount check.
+-- Returns NULL when the batch is gone or its window has closed, the held
+-- notifications (emptying the batch) once p_max_count is reached, or [] when
+-- the notification is held.
+CREATE OR REPLACE FUNCTION append_notification_batch_item(
+  p_batch_id UUID,
+  p_item JSONB,
+  p_max_count INTEGER
+)
+RETURNS JSONB AS $$
+DECLARE
+  v_notifications JSONB;
+BEGIN
+  UPDATE notification_batches
+  SET notifications = notifications || jsonb_build_array(p_item),
+      updated_at = NOW()
+  WHERE id = p_batch_id
+    AND window_ends_at > NOW()
+  RETURNING notifications INTO v_notifications;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF jsonb_array_length(v_notifications) < p_max_count THEN
+    RETURN '[]'::jsonb;
+  END IF;
+
+  UPDATE notification_batches
+  SET notifications = '[]'::jsonb,
+      updated_at = NOW()
+  WHERE id = p_batch_id;
+
+  RETURN v_notifications;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,7 @@
+-- Per-type notification overrides on top of the category toggles
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE notification_preferences
+ADD COLUMN IF NOT EXISTS type_overrides JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+COMMENT ON COLUMN notification_preferences.type_overrides IS 'Per notification type on/off overrides, e.g. {"peak_activity": false}; wins over the category columns';
@@ -0,0 +1,55 @@
+-- Atomic claiming for notification_queue
+-- Run this in Supabase SQL Editor before deploying the queue processor that calls it
+
+ALTER TABLE notification_queue
+ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_notification_queue_processing_lease
+ON notification_queue(lease_expires_at)
+WHERE status = 'processing';
+
+-- Claim up to p_limit due notifications for one processing run.
+-- Rows are locked with SKIP LOCKED so concurrent runs never claim the same row,
+-- and each claimed row gets a lease. A row still 'processing' after its lease
+-- expired belonged to a run that died: it is claimed again (counting as a retry)
+-- or marked failed once it has used up its retries.
+CREATE OR REPLACE FUNCTION claim_notification_queue(
+  p_limit INTEGER DEFAULT 100,
+  p_lease_seconds INTEGER DEFAULT 60
+)
+RETURNS SETOF notification_queue AS $$
+BEGIN
+  UPDATE notification_queue
+  SET status = 'failed',
+      error_message = 'Processing lease expired too many times',
+      processing_completed_at = NOW(),
+      lease_expires_at = NULL
+  WHERE status = 'processing'
+    AND lease_expires_at < NOW()
+    AND COALESCE(retry_count, 0) >= 2;
+
+  RETURN QUERY
+  UPDATE notification_queue q
+  SET status = 'processing',
+      processing_started_at = NOW(),
+      lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+      retry_count = CASE
+        WHEN q.status = 'processing' THEN COALESCE(q.retry_count, 0) + 1
+        ELSE q.retry_count
+      END
+  WHERE q.id IN (
+    SELECT id
+    FROM notification_queue
+    WHERE (status = 'pending' AND scheduled_for <= NOW())
+       OR (status = 'processing' AND lease_expires_at < NOW())
+    ORDER BY
+      CASE priority WHEN 'high' THEN 3 WHEN 'medium' THEN 2 ELSE 1 END DESC,
+      created_at ASC
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING q.*;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN notification_queue.lease_expires_at IS 'When a processing claim lapses and the row can be claimed by another run';
@@ -0,0 +1,12 @@
+-- Quiet hours deferral - notifications held back during quiet hours are queued
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE notification_queue
+ADD COLUMN IF NOT EXISTS deferred_reason TEXT;
+
+-- The queue cron picks up due rows by scheduled_for
+CREATE INDEX IF NOT EXISTS idx_notification_queue_pending_due
+ON notification_queue(scheduled_for)
+WHERE status = 'pending';
+
+COMMENT ON COLUMN notification_queue.deferred_reason IS 'Why the notification was deferred (quiet_hours); deferred rows for the same user are sent as one digest';
@@ -0,0 +1,64 @@
+-- Signed webhooks - sends database changes to /api/webhook with an HMAC signature
+-- Run this in Supabase SQL Editor
+
+-- Requires pg_net (HTTP calls) and pgcrypto (HMAC)
+CREATE EXTENSION IF NOT EXISTS pg_net;
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
+-- Store the signing secret in Vault (must match a value in WEBHOOK_SECRETS):
+--   SELECT vault.create_secret('<secret>', 'partysnap_webhook_secret');
+-- To rotate: add the new secret to WEBHOOK_SECRETS and deploy, update it here
+-- with vault.update_secret, then remove the old one from WEBHOOK_SECRETS.
+
+CREATE OR REPLACE FUNCTION send_signed_webhook()
+RETURNS TRIGGER AS $$
+DECLARE
+  webhook_url TEXT := TG_ARGV[0];
+  signing_secret TEXT;
+  body TEXT;
+  ts TEXT := floor(extract(epoch FROM NOW()))::TEXT;
+BEGIN
+  SELECT decrypted_secret INTO signing_secret
+  FROM vault.decrypted_secrets
+  WHERE name = 'partysnap_webhook_secret';
+
+  -- Sign jsonb's text form, which is exactly what pg_net sends
+  body := jsonb_build_object(
+    'type', TG_OP,
+    'table', TG_TABLE_NAME,
+    'schema', TG_TABLE_SCHEMA,
+    'record', CASE WHEN TG_OP = 'DELETE' THEN NULL ELSE to_jsonb(NEW) END,
+    'old_record', CASE WHEN TG_OP = 'INSERT' THEN NULL ELSE to_jsonb(OLD) END
+  )::TEXT;
+
+  PERFORM net.http_post(
+    url := webhook_url,
+    body := body::jsonb,
+    headers := jsonb_build_object(
+      -- text/plain: the function runtime parses JSON bodies, losing the
+      -- exact bytes the signature covers
+      'Content-Type', 'text/plain',
+      'x-webhook-signature', 't=' || ts || ',v1=' ||
+        encode(hmac(ts || '.' || body, signing_secret, 'sha256'), 'hex')
+    )
+  );
+
+  RETURN COALESCE(NEW, OLD);
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Example triggers (replace the URL with your deployment)
+DROP TRIGGER IF EXISTS photo_likes_signed_webhook ON photo_likes;
+CREATE TRIGGER photo_likes_signed_webhook
+AFTER INSERT ON photo_likes
+FOR EACH ROW EXECUTE FUNCTION send_signed_webhook('https://your-vercel-app.vercel.app/api/webhook');
+
+DROP TRIGGER IF EXISTS photos_signed_webhook ON photos;
+CREATE TRIGGER photos_signed_webhook
+AFTER INSERT ON photos
+FOR EACH ROW EXECUTE FUNCTION send_signed_webhook('https://your-vercel-app.vercel.app/api/webhook');
+
+DROP TRIGGER IF EXISTS events_signed_webhook ON events;
+CREATE TRIGGER events_signed_webhook
+AFTER UPDATE ON events
+FOR EACH ROW EXECUTE FUNCTION send_signed_webhook('https://your-vercel-app.vercel.app/api/webhook');
@@ -0,0 +1,35 @@
+-- Push token failure tracking - persists delivery failures across lambda instances
+-- Run this in Supabase SQL Editor
+
+ALTER TABLE push_tokens
+ADD COLUMN IF NOT EXISTS failure_count INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_failure_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS last_error TEXT,
+ADD COLUMN IF NOT EXISTS deactivated_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS deactivation_reason TEXT;
+
+-- Find tokens that are close to being retired
+CREATE INDEX IF NOT EXISTS idx_push_tokens_failure_count
+ON push_tokens(failure_count)
+WHERE failure_count > 0;
+
+COMMENT ON COLUMN push_tokens.failure_count IS 'Consecutive failed deliveries; token is deactivated at 3 and reset on success';
+COMMENT ON COLUMN push_tokens.last_failure_at IS 'Time of the most recent failed delivery';
+COMMENT ON COLUMN push_tokens.last_error IS 'Provider error from the most recent failed delivery';
+COMMENT ON COLUMN push_tokens.deactivation_reason IS 'Why the token was deactivated (provider rejection, repeated failures, validation)';
+
+-- Count a failed delivery in one statement, so concurrent sends to the same
+-- token don't overwrite each other's count. Returns the new count (NULL if
+-- the token doesn't exist).
+CREATE OR REPLACE FUNCTION record_push_token_failure(
+  p_token TEXT,
+  p_error TEXT DEFAULT NULL
+)
+RETURNS INTEGER AS $$
+  UPDATE push_tokens
+  SET failure_count = failure_count + 1,
+      last_failure_at = NOW(),
+      last_error = p_error
+  WHERE token = p_token
+  RETURNING failure_count;
+$$ LANGUAGE sql;
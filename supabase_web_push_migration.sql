@@ -0,0 +1,23 @@
+-- Web Push Migration - store browser Push API subscriptions in push_tokens
+-- Run this in Supabase SQL Editor
+
+-- For platform = 'web', token holds the subscription endpoint and these hold
+-- the keys used to encrypt payloads for that browser
+ALTER TABLE push_tokens
+ADD COLUMN IF NOT EXISTS web_push_p256dh TEXT,
+ADD COLUMN IF NOT EXISTS web_push_auth TEXT;
+
+-- Allow the web platform alongside android and ios
+ALTER TABLE push_tokens DROP CONSTRAINT IF EXISTS push_tokens_platform_check;
+ALTER TABLE push_tokens
+ADD CONSTRAINT push_tokens_platform_check CHECK (platform IN ('android', 'ios', 'web'));
+
+-- A web subscription can't be used without its keys
+ALTER TABLE push_tokens DROP CONSTRAINT IF EXISTS push_tokens_web_push_keys_check;
+ALTER TABLE push_tokens
+ADD CONSTRAINT push_tokens_web_push_keys_check
+CHECK (platform <> 'web' OR (web_push_p256dh IS NOT NULL AND web_push_auth IS NOT NULL));
+
+COMMENT ON COLUMN push_tokens.web_push_p256dh IS 'Web Push subscription public key (keys.p256dh), platform web only';
+COMMENT ON COLUMN push_tokens.web_push_auth IS 'Web Push subscription auth secret (keys.auth), platform web only';
+COMMENT ON COLUMN push_tokens.token_type IS 'Type of token: expo, fcm_v1, apns or web_push';
@@ -0,0 +1,53 @@
+-- Atomic claiming for webhook_queue
+-- Run this in Supabase SQL Editor before deploying the webhook processor that calls it
+
+ALTER TABLE webhook_queue
+ADD COLUMN IF NOT EXISTS lease_expires_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_webhook_queue_processing_lease
+ON webhook_queue(lease_expires_at)
+WHERE status = 'processing';
+
+-- Claim up to p_limit pending webhook payloads for one processing run, the
+-- same way claim_notification_queue claims notifications: rows are locked with
+-- SKIP LOCKED so overlapping runs (Vercel cron and an external pinger) never
+-- handle the same payload, and each claim gets a lease. A row still
+-- 'processing' after its lease expired belonged to a run that died: it is
+-- claimed again (counting as a retry) or marked failed_permanent once it has
+-- used up its retries.
+CREATE OR REPLACE FUNCTION claim_webhook_queue(
+  p_limit INTEGER DEFAULT 50,
+  p_lease_seconds INTEGER DEFAULT 60
+)
+RETURNS SETOF webhook_queue AS $$
+BEGIN
+  UPDATE webhook_queue
+  SET status = 'failed_permanent',
+      error_message = 'Processing lease expired too many times',
+      lease_expires_at = NULL
+  WHERE status = 'processing'
+    AND lease_expires_at < NOW()
+    AND COALESCE(retry_count, 0) >= 2;
+
+  RETURN QUERY
+  UPDATE webhook_queue w
+  SET status = 'processing',
+      lease_expires_at = NOW() + make_interval(secs => p_lease_seconds),
+      retry_count = CASE
+        WHEN w.status = 'processing' THEN COALESCE(w.retry_count, 0) + 1
+        ELSE w.retry_count
+      END
+  WHERE w.id IN (
+    SELECT id
+    FROM webhook_queue
+    WHERE (status = 'pending' AND COALESCE(retry_count, 0) < 3)
+       OR (status = 'processing' AND lease_expires_at < NOW())
+    ORDER BY created_at ASC
+    LIMIT p_limit
+    FOR UPDATE SKIP LOCKED
+  )
+  RETURNING w.*;
+END;
+$$ LANGUAGE plpgsql;
+
+COMMENT ON COLUMN webhook_queue.lease_expires_at IS 'When a processing claim lapses and the row can be claimed by another run';
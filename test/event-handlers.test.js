@@ -0,0 +1,103 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Expo } from 'expo-server-sdk';
+import { handleDatabaseEvent } from '../lib/event-handlers.js';
+import { notificationService } from '../lib/notification-service.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+const LIKE_KEY = 'photo_like_notified:p1:liker';
+
+const likeEvent = {
+  table: 'photo_likes',
+  type: 'INSERT',
+  record: { photo_id: 'p1', user_id: 'liker', created_at: '2025-06-01T12:00:00Z' }
+};
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+  Expo.sentMessages.length = 0;
+
+  db.seed('events', [{ id: 'e1', name: 'Party' }]);
+  db.seed('photos', [{ id: 'p1', user_id: 'owner', event_id: 'e1' }]);
+  db.seed('photo_likes', [{ photo_id: 'p1', user_id: 'liker' }]);
+  db.seed('notification_preferences', [{ user_id: 'owner', photo_likes: true }]);
+});
+
+const addOwnerDevice = () => db.seed('push_tokens', [{
+  user_id: 'owner',
+  token: 'ExponentPushToken[owner]',
+  platform: 'ios',
+  is_active: true,
+  failure_count: 0
+}]);
+
+test('a like is announced once per liker', async () => {
+  addOwnerDevice();
+
+  await handleDatabaseEvent(likeEvent);
+  await handleDatabaseEvent(likeEvent);
+
+  assert.equal(Expo.sentMessages.length, 1);
+  assert.ok(fakeRedis.get(LIKE_KEY));
+});
+
+test('a like that was not sent can be announced later', async () => {
+  // The owner has no devices yet
+  await handleDatabaseEvent(likeEvent);
+  assert.equal(fakeRedis.get(LIKE_KEY), null);
+
+  addOwnerDevice();
+  await handleDatabaseEvent(likeEvent);
+
+  assert.equal(Expo.sentMessages.length, 1);
+});
+
+test('a photo in an unnamed event names it in the owner\'s language', async () => {
+  addOwnerDevice();
+  db.table('events')[0].name = null;
+  db.table('notification_preferences')[0].locale = 'es';
+
+  await handleDatabaseEvent(likeEvent);
+
+  assert.equal(Expo.sentMessages[0].body, 'Tu foto de tu evento recibió un nuevo me gusta');
+});
+
+test('a like count that can\'t be read fails the payload and frees the liker', async () => {
+  addOwnerDevice();
+  db.fail('photo_likes', { message: 'canceling statement due to statement timeout' });
+
+  await assert.rejects(handleDatabaseEvent(likeEvent), { message: /statement timeout/ });
+
+  assert.equal(Expo.sentMessages.length, 0);
+  assert.equal(fakeRedis.get(LIKE_KEY), null);
+});
+
+test('a retried photo only redoes the announcement that failed', async () => {
+  // The 50th photo of the last hour is both a milestone and peak activity
+  const now = new Date().toISOString();
+  db.seed('photos', Array.from({ length: 50 }, () => ({ user_id: 'guest', event_id: 'e2', created_at: now })));
+  db.seed('event_participants', [{ event_id: 'e2', user_id: 'guest', status: 'accepted' }]);
+
+  const sent = [];
+  let peakActivityFails = true;
+  const bulkSend = mock.method(notificationService, 'sendBulkNotification', async (userIds, type) => {
+    if (type === 'peak_activity' && peakActivityFails) {
+      peakActivityFails = false;
+      throw new Error('Connection reset');
+    }
+    sent.push(type);
+    return { successful: userIds.length, failed: 0, details: [] };
+  });
+
+  try {
+    const photoEvent = { table: 'photos', type: 'INSERT', record: { id: 'p50', event_id: 'e2' } };
+    await assert.rejects(handleDatabaseEvent(photoEvent), /Connection reset/);
+    await handleDatabaseEvent(photoEvent);
+  } finally {
+    bulkSend.mock.restore();
+  }
+
+  assert.deepEqual(sent, ['community_milestone', 'peak_activity']);
+});
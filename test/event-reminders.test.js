@@ -0,0 +1,82 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { scheduleEventReminders, getReminderDedupeKey } from '../lib/event-reminders.js';
+import { notificationService } from '../lib/notification-service.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+const NOW = Date.parse('2025-06-01T23:00:00Z');
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+  db.unique('notification_queue', 'dedupe_key');
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+
+  // u1 is in quiet hours and going to e1, which starts in 20 minutes
+  db.seed('notification_preferences', [{
+    user_id: 'u1',
+    event_updates: true,
+    quiet_hours_enabled: true,
+    quiet_hours_start: '22:00',
+    quiet_hours_end: '07:00',
+    timezone: 'UTC'
+  }]);
+  db.seed('events', [{ id: 'e1', name: 'Launch party', start_time: '2025-06-01T23:20:00Z' }]);
+  db.seed('event_participants', [{ event_id: 'e1', user_id: 'u1', status: 'accepted' }]);
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+const pendingRows = () => db.rows('notification_queue').filter(row => row.status === 'pending');
+
+test('a scan keeps reminders deferred from /api/notify', async () => {
+  const result = await notificationService.sendNotification('u1', 'event_reminder', {
+    eventId: 'e2',
+    eventName: 'Brunch',
+    hoursUntilStart: 1
+  }, { idempotencyKey: 'brunch-reminder' });
+
+  assert.equal(result.reason, 'deferred');
+
+  await scheduleEventReminders();
+
+  const deferred = pendingRows().find(row => row.dedupe_key === 'notify:brunch-reminder:u1');
+  assert.ok(deferred, 'deferred notification was deleted by the reminder scan');
+  assert.equal(deferred.data.eventName, 'Brunch');
+});
+
+test('a deferred /api/notify key only dedupes within the idempotency window', async () => {
+  const brunch = { eventId: 'e2', eventName: 'Brunch', hoursUntilStart: 1 };
+  const first = await notificationService.sendNotification('u1', 'event_reminder', brunch, { idempotencyKey: 'brunch-reminder' });
+  const retry = await notificationService.sendNotification('u1', 'event_reminder', brunch, { idempotencyKey: 'brunch-reminder' });
+  assert.equal(retry.queuedId, first.queuedId);
+
+  // A day later (quiet hours again) the key names a new request
+  mock.timers.tick(25 * 60 * 60 * 1000);
+  const later = await notificationService.sendNotification('u1', 'event_reminder', brunch, { idempotencyKey: 'brunch-reminder' });
+
+  assert.equal(later.reason, 'deferred');
+  assert.notEqual(later.queuedId, first.queuedId);
+  assert.equal(pendingRows().find(row => row.id === first.queuedId).dedupe_key, null);
+});
+
+test('a scan removes its own reminders that are no longer due', async () => {
+  db.seed('notification_queue', [{
+    user_id: 'u1',
+    notification_type: 'event_reminder',
+    status: 'pending',
+    data: { eventId: 'moved' },
+    dedupe_key: getReminderDedupeKey('event_reminder', 'moved', 'u1')
+  }]);
+
+  const results = await scheduleEventReminders();
+
+  assert.equal(results.removed, 1);
+  assert.deepEqual(pendingRows().map(row => row.dedupe_key).sort(), [
+    getReminderDedupeKey('event_reminder', 'e1', 'u1'),
+    getReminderDedupeKey('event_starting', 'e1', 'u1')
+  ]);
+});
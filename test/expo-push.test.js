@@ -0,0 +1,45 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Expo } from 'expo-server-sdk';
+import { sendExpoPushNotification, sendBatchExpoPushNotifications } from '../lib/expo-push.js';
+
+const TOKEN = 'ExponentPushToken[device-1]';
+const IMAGE_URL = 'https://example.supabase.co/storage/v1/object/sign/photos/p1.jpg?token=abc';
+
+const notification = {
+  type: 'photo_liked',
+  title: 'New like',
+  body: 'Someone liked your photo',
+  imageUrl: IMAGE_URL
+};
+
+beforeEach(() => {
+  Expo.sentMessages.length = 0;
+});
+
+test('batch messages carry the image as richContent', async () => {
+  const result = await sendBatchExpoPushNotifications([TOKEN], notification, { photoId: 'p1' });
+
+  assert.equal(result.success, true);
+  const [message] = Expo.sentMessages;
+  assert.deepEqual(message.richContent, { image: IMAGE_URL });
+  assert.equal(message.mutableContent, true);
+  assert.equal('image' in message, false);
+});
+
+test('single messages carry the image as richContent', async () => {
+  await sendExpoPushNotification(TOKEN, notification);
+
+  const [message] = Expo.sentMessages;
+  assert.deepEqual(message.richContent, { image: IMAGE_URL });
+  assert.equal(message.mutableContent, true);
+  assert.equal('image' in message, false);
+});
+
+test('messages without an image have no rich content', async () => {
+  await sendBatchExpoPushNotifications([TOKEN], { ...notification, imageUrl: null });
+
+  const [message] = Expo.sentMessages;
+  assert.equal(message.richContent, undefined);
+  assert.equal(message.mutableContent, undefined);
+});
@@ -0,0 +1,53 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Expo } from 'expo-server-sdk';
+import { processExpoReceipts } from '../lib/expo-receipts.js';
+import { db } from './mocks/supabase-js.js';
+
+const DEVICE_NOT_REGISTERED = {
+  status: 'error',
+  message: 'The device cannot receive push notifications anymore',
+  details: { error: 'DeviceNotRegistered' }
+};
+
+beforeEach(() => {
+  db.reset();
+  Expo.receipts = {};
+});
+
+// A sent notification whose single Expo ticket is ready to be checked
+function seedSend(historyId, otherDevicesReached) {
+  db.seed('notification_history', [{ id: historyId, user_id: 'u1', status: 'sent' }]);
+  db.seed('push_tokens', [{ token: `ExponentPushToken[${historyId}]`, is_active: true }]);
+  db.seed('expo_push_tickets', [{
+    ticket_id: `ticket-${historyId}`,
+    history_id: historyId,
+    token: `ExponentPushToken[${historyId}]`,
+    status: 'pending',
+    other_devices_reached: otherDevicesReached,
+    created_at: new Date(Date.now() - 20 * 60 * 1000).toISOString()
+  }]);
+  Expo.receipts[`ticket-${historyId}`] = DEVICE_NOT_REGISTERED;
+}
+
+const historyStatus = (id) => db.rows('notification_history').find(row => row.id === id).status;
+
+test('failed receipts mark an Expo-only notification failed', async () => {
+  seedSend('h1', 0);
+
+  const results = await processExpoReceipts();
+
+  assert.equal(results.failed, 1);
+  assert.equal(historyStatus('h1'), 'failed');
+});
+
+test('failed receipts keep a notification sent when other providers delivered it', async () => {
+  seedSend('h1', 1);
+
+  await processExpoReceipts();
+
+  assert.equal(historyStatus('h1'), 'sent');
+  const [ticket] = db.rows('expo_push_tickets');
+  assert.equal(ticket.status, 'failed');
+  assert.match(ticket.error_message, /^DeviceNotRegistered/);
+});
@@ -0,0 +1,112 @@
+// In-memory Upstash REST endpoint. Answers the commands lib/redis.js sends;
+// other fetch calls go to the real fetch. Expiry follows Date.now(), so mocked
+// timers expire keys too.
+const store = new Map(); // key -> { value, expiresAt }
+
+let available = true;
+
+export const fakeRedis = {
+  reset() {
+    store.clear();
+    available = true;
+  },
+
+  // Make every call fail, as when Upstash is down
+  setAvailable(value) {
+    available = value;
+  },
+
+  get(key) {
+    return read(key);
+  }
+};
+
+function read(key) {
+  const entry = store.get(key);
+  if (!entry) return null;
+
+  if (entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+    store.delete(key);
+    return null;
+  }
+
+  return entry.value;
+}
+
+function write(key, value, ttlSeconds = null) {
+  store.set(key, {
+    value: String(value),
+    expiresAt: ttlSeconds === null ? null : Date.now() + Number(ttlSeconds) * 1000
+  });
+}
+
+function execute([command, ...args]) {
+  switch (command.toUpperCase()) {
+    case 'GET':
+      return read(args[0]);
+
+    case 'MGET':
+      return args.map(read);
+
+    case 'SET': {
+      const [key, value, ...options] = args;
+      const upper = options.map(option => String(option).toUpperCase());
+      const exIndex = upper.indexOf('EX');
+      if (upper.includes('NX') && read(key) !== null) return null;
+      write(key, value, exIndex === -1 ? null : options[exIndex + 1]);
+      return 'OK';
+    }
+
+    case 'SETEX':
+      write(args[0], args[2], args[1]);
+      return 'OK';
+
+    case 'DEL':
+      return args.filter(key => store.delete(key)).length;
+
+    case 'INCR': {
+      // INCR and DECR keep the key's TTL
+      const current = read(args[0]);
+      const count = Number(current || 0) + 1;
+      store.set(args[0], { value: String(count), expiresAt: current === null ? null : store.get(args[0]).expiresAt });
+      return count;
+    }
+
+    case 'DECR': {
+      const current = read(args[0]);
+      const count = Number(current || 0) - 1;
+      store.set(args[0], { value: String(count), expiresAt: current === null ? null : store.get(args[0]).expiresAt });
+      return count;
+    }
+
+    case 'EXPIRE': {
+      const value = read(args[0]);
+      if (value === null) return 0;
+      write(args[0], value, args[1]);
+      return 1;
+    }
+
+    default:
+      throw new Error(`Fake Redis does not support ${command}`);
+  }
+}
+
+export function installFakeRedis(url) {
+  const realFetch = globalThis.fetch;
+
+  globalThis.fetch = async (input, init = {}) => {
+    if (String(input) !== url) {
+      return realFetch(input, init);
+    }
+
+    if (!available) {
+      return new Response('Service unavailable', { status: 503 });
+    }
+
+    try {
+      return Response.json({ result: execute(JSON.parse(init.body)) });
+    } catch (error) {
+      return new Response(error.message, { status: 400 });
+    }
+  };
+}
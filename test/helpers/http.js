@@ -0,0 +1,33 @@
+// Minimal stand-ins for the Vercel request and response objects handlers use.
+// The response records what the handler sent in `statusCode`, `body` and `headers`.
+export function createRequest({ method = 'GET', headers = {}, query = {}, body = undefined } = {}) {
+  return { method, headers, query, body };
+}
+
+export function createResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: undefined,
+
+    setHeader(name, value) {
+      this.headers[name.toLowerCase()] = value;
+      return this;
+    },
+
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+
+    json(body) {
+      this.body = body;
+      return this;
+    },
+
+    end(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
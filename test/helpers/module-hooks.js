@@ -0,0 +1,20 @@
+// Module resolution hooks for tests: external clients resolve to the fakes in
+// test/mocks/ (see setup.js)
+const MOCKS = {
+  '@supabase/supabase-js': 'supabase-js.js',
+  'expo-server-sdk': 'expo-server-sdk.js',
+  'firebase-admin': 'firebase-admin.js',
+  'node-apn': 'node-apn.js',
+  'web-push': 'web-push.js'
+};
+
+export async function resolve(specifier, context, nextResolve) {
+  if (MOCKS[specifier]) {
+    return {
+      url: new URL(`../mocks/${MOCKS[specifier]}`, import.meta.url).href,
+      shortCircuit: true
+    };
+  }
+
+  return nextResolve(specifier, context);
+}
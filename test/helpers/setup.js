@@ -0,0 +1,20 @@
+/**
+ * Test Setup
+ * Preloaded by `npm test` (node --import) before any test file
+ *
+ * Unit tests never talk to Supabase, Redis or a push service: the Supabase
+ * client and the push SDKs resolve to the in-memory fakes in test/mocks/, and
+ * Upstash REST calls are answered by test/helpers/fake-redis.js.
+ */
+
+import { register } from 'node:module';
+import { installFakeRedis } from './fake-redis.js';
+
+process.env.SUPABASE_URL = 'http://supabase.test';
+process.env.SUPABASE_SERVICE_KEY = 'test-service-key';
+process.env.UPSTASH_REDIS_REST_URL = 'http://redis.test';
+process.env.UPSTASH_REDIS_REST_TOKEN = 'test-redis-token';
+
+register('./module-hooks.js', import.meta.url);
+
+installFakeRedis(process.env.UPSTASH_REDIS_REST_URL);
@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  formatMessage,
+  translate,
+  getLocaleChain,
+  normalizeLocale,
+  isSupportedLocale
+} from '../lib/i18n.js';
+
+test('plural picks the locale\'s category, with exact matches first', () => {
+  const message = '{count, plural, =0 {No likes} one {# like} other {# likes}}';
+
+  assert.equal(formatMessage(message, { count: 0 }, 'en'), 'No likes');
+  assert.equal(formatMessage(message, { count: 1 }, 'en'), '1 like');
+  assert.equal(formatMessage(message, { count: 2 }, 'en'), '2 likes');
+  assert.equal(formatMessage(message, { count: 12345 }, 'en'), '12,345 likes');
+});
+
+test('# is formatted in the locale', () => {
+  const message = '{count, plural, one {# like} other {# likes}}';
+  assert.equal(formatMessage(message, { count: 12345 }, 'es'), '12.345 likes');
+  assert.equal(formatMessage(message, { count: 123456 }, 'hi'), '1,23,456 likes');
+});
+
+test('number and select arguments', () => {
+  assert.equal(formatMessage('{n, number} photos', { n: 2500 }, 'en'), '2,500 photos');
+  const select = '{tier, select, high {On fire} other {Nice}}';
+  assert.equal(formatMessage(select, { tier: 'high' }), 'On fire');
+  assert.equal(formatMessage(select, { tier: 'low' }), 'Nice');
+});
+
+test('apostrophes quote syntax characters but are otherwise text', () => {
+  assert.equal(formatMessage('Don\'t miss {name}', { name: 'it' }), 'Don\'t miss it');
+  assert.equal(formatMessage('\'{literal}\' and \'\'', {}), '{literal} and \'');
+});
+
+test('locales fall back per message along their chain', () => {
+  assert.deepEqual(getLocaleChain('es-MX'), ['es', 'en']);
+  assert.deepEqual(getLocaleChain('fr'), ['en']);
+  assert.deepEqual(getLocaleChain(null), ['en']);
+
+  // Regional number formatting still applies when the catalog is the language's
+  assert.equal(
+    translate('es-MX', 'event_reminder.body', { eventName: 'Boda', hours: 2 }),
+    translate('es', 'event_reminder.body', { eventName: 'Boda', hours: 2 })
+  );
+  assert.equal(
+    translate('fr', 'event_reminder.title'),
+    translate('en', 'event_reminder.title')
+  );
+});
+
+test('a key missing from every catalog comes back as the key', () => {
+  assert.equal(translate('es', 'nope.missing'), 'nope.missing');
+});
+
+test('normalizeLocale and isSupportedLocale', () => {
+  assert.equal(normalizeLocale('es_mx'), 'es-MX');
+  assert.equal(normalizeLocale('not a locale!'), null);
+  assert.equal(isSupportedLocale('hi-IN'), true);
+  assert.equal(isSupportedLocale('fr'), false);
+});
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeCursor } from '../api/inbox.js';
+
+const cursor = (createdAt, id) => Buffer.from(JSON.stringify([createdAt, id])).toString('base64url');
+
+test('cursors with created_at as PostgREST returns it decode', () => {
+  assert.deepEqual(decodeCursor(cursor('2025-06-01T12:00:00.123456+00:00', 'n-1')), {
+    createdAt: '2025-06-01T12:00:00.123456+00:00',
+    id: 'n-1'
+  });
+  assert.equal(decodeCursor(cursor('2025-06-01T12:00:00Z', 'n-1')).createdAt, '2025-06-01T12:00:00Z');
+});
+
+test('cursors that could change the inbox filter are rejected', () => {
+  // Date.parse accepts these, ignoring the parenthesized text
+  assert.equal(decodeCursor(cursor('2025-06-01 12:00 (",user_id.neq.x)', 'n-1')), null);
+  assert.equal(decodeCursor(cursor('Sun Jun 01 2025 12:00:00 GMT+0000 (",user_id.neq.")', 'n-1')), null);
+  assert.equal(decodeCursor(cursor('2025-06-01', 'n-1')), null);
+  assert.equal(decodeCursor(cursor('2025-06-01T12:00:00Z', 'n-1",id.gt."0')), null);
+});
+
+test('malformed cursors are rejected', () => {
+  assert.equal(decodeCursor('not-a-cursor'), null);
+  assert.equal(decodeCursor(Buffer.from('{}').toString('base64url')), null);
+});
@@ -0,0 +1,39 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/inbox.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+import { createRequest, createResponse } from './helpers/http.js';
+
+const N1 = '0d6f3a2b-7c1e-4b9a-8f5d-2e4c6a8b0d1f';
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+
+  db.signIn('token-u1', { id: 'u1' });
+  db.seed('notification_history', [{ id: N1, user_id: 'u1', status: 'sent', read_at: null, deleted_at: null }]);
+});
+
+async function inbox(method, body) {
+  const res = createResponse();
+  await handler(createRequest({ method, headers: { authorization: 'Bearer token-u1' }, body }), res);
+  return res;
+}
+
+test('ids that aren\'t notification ids are rejected before reaching the database', async () => {
+  for (const method of ['PATCH', 'DELETE']) {
+    const res = await inbox(method, { ids: [N1, 'not-a-uuid'] });
+
+    assert.equal(res.statusCode, 400, method);
+    assert.match(res.body.error, /UUID/);
+  }
+  assert.equal(db.rows('notification_history')[0].read_at, null);
+});
+
+test('notification ids are marked read', async () => {
+  const res = await inbox('PATCH', { ids: [N1] });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.marked, 1);
+});
@@ -0,0 +1,32 @@
+// Fake expo-server-sdk: records the messages sent and accepts every one with
+// an ok ticket. Tests read and clear `Expo.sentMessages`, and set
+// `Expo.receipts` to the receipts keyed by ticket id.
+export class Expo {
+  static sentMessages = [];
+  static receipts = {};
+
+  static isExpoPushToken(token) {
+    return typeof token === 'string' && /^Expo(nent)?PushToken\[.+\]$/.test(token);
+  }
+
+  chunkPushNotifications(messages) {
+    const chunks = [];
+    for (let i = 0; i < messages.length; i += 100) {
+      chunks.push(messages.slice(i, i + 100));
+    }
+    return chunks;
+  }
+
+  chunkPushNotificationReceiptIds(ids) {
+    return ids.length > 0 ? [ids] : [];
+  }
+
+  async sendPushNotificationsAsync(messages) {
+    Expo.sentMessages.push(...messages);
+    return messages.map((message, index) => ({ status: 'ok', id: `ticket-${Expo.sentMessages.length - messages.length + index}` }));
+  }
+
+  async getPushNotificationReceiptsAsync(ids) {
+    return Object.fromEntries(ids.filter(id => Expo.receipts[id]).map(id => [id, Expo.receipts[id]]));
+  }
+}
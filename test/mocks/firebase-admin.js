@@ -0,0 +1,27 @@
+// Fake firebase-admin: reports an initialized app so lib/fcm-v1.js loads, and
+// accepts every FCM message. Tests read and clear `admin.sentMessages`.
+const admin = {
+  apps: [],
+  sentMessages: [],
+  app: (name = '[DEFAULT]') => ({ name }),
+  credential: { cert: (serviceAccount) => serviceAccount },
+  initializeApp: (options, name = '[DEFAULT]') => ({ name }),
+  messaging() {
+    return {
+      async send(message) {
+        admin.sentMessages.push(message);
+        return `message-${admin.sentMessages.length}`;
+      },
+
+      async sendEach(messages) {
+        const responses = [];
+        for (const message of messages) {
+          responses.push({ success: true, messageId: await this.send(message) });
+        }
+        return { successCount: responses.length, failureCount: 0, responses };
+      }
+    };
+  }
+};
+
+export default admin;
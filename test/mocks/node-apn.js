@@ -0,0 +1,10 @@
+// Fake node-apn: APNs sends are not exercised by the unit tests
+class Provider {
+  constructor() {
+    throw new Error('node-apn is not available in unit tests');
+  }
+}
+
+class Notification {}
+
+export default { Provider, Notification };
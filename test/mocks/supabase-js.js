@@ -0,0 +1,364 @@
+/**
+ * Fake @supabase/supabase-js
+ * An in-memory database behind the subset of the query builder lib/ uses
+ *
+ * Tables are plain arrays of rows. Tests seed and inspect them through `db`:
+ *   db.reset()
+ *   db.seed('events', [{ id: 'e1', start_time: '...' }])
+ *   db.unique('notification_queue', 'dedupe_key')   // inserts raise 23505
+ *   db.rpc('claim_notification_queue', (params, db) => rows)
+ *   db.rows('notification_queue')                  // copies
+ *   db.table('notification_batches')               // the live rows, for rpc fakes
+ *   db.signIn('access-token', { id: 'u1' })        // auth.getUser('access-token')
+ *   db.fail('events', { message: 'timeout' })      // queries on the table return the error
+ * Column lists in select() are ignored: whole rows are returned.
+ */
+
+const tables = new Map();
+const uniqueColumns = new Map();
+const rpcs = new Map();
+const sessions = new Map();
+const failures = new Map();
+let nextId = 1;
+
+export const db = {
+  reset() {
+    tables.clear();
+    uniqueColumns.clear();
+    rpcs.clear();
+    sessions.clear();
+    failures.clear();
+    nextId = 1;
+  },
+
+  seed(table, rows) {
+    getTable(table).push(...rows.map(row => ({ id: generateId(), ...row })));
+  },
+
+  rows(table) {
+    return getTable(table).map(row => ({ ...row }));
+  },
+
+  table(name) {
+    return getTable(name);
+  },
+
+  unique(table, ...columns) {
+    uniqueColumns.set(table, [...(uniqueColumns.get(table) || []), columns]);
+  },
+
+  rpc(name, handler) {
+    rpcs.set(name, handler);
+  },
+
+  signIn(accessToken, user) {
+    sessions.set(accessToken, user);
+  },
+
+  fail(table, error) {
+    failures.set(table, error);
+  }
+};
+
+function getTable(name) {
+  if (!tables.has(name)) {
+    tables.set(name, []);
+  }
+  return tables.get(name);
+}
+
+function generateId() {
+  return `id-${nextId++}`;
+}
+
+// Timestamps compare as instants whatever their ISO formatting
+function toComparable(value) {
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return Date.parse(value);
+  }
+  return value;
+}
+
+function likeToRegExp(pattern) {
+  const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/%/g, '.*').replace(/_/g, '.')}$`);
+}
+
+function findConflict(table, row, ignoreRow = null) {
+  return (uniqueColumns.get(table) || []).some(columns => getTable(table).some(existing =>
+    existing !== ignoreRow &&
+    columns.every(column => row[column] !== null && row[column] !== undefined && existing[column] === row[column])
+  ));
+}
+
+const uniqueViolation = (table) => ({
+  code: '23505',
+  message: `duplicate key value violates unique constraint on ${table}`
+});
+
+class QueryBuilder {
+  constructor(table) {
+    this.table = table;
+    this.operation = 'select';
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.returning = false;
+    this.countRequested = false;
+    this.headOnly = false;
+    this.resultMode = 'many';
+  }
+
+  select(columns = '*', { count = null, head = false } = {}) {
+    this.returning = true;
+    this.countRequested = count === 'exact';
+    this.headOnly = head;
+    return this;
+  }
+
+  insert(rows) {
+    this.operation = 'insert';
+    this.payload = [].concat(rows);
+    return this;
+  }
+
+  upsert(rows, { onConflict = 'id', ignoreDuplicates = false } = {}) {
+    this.operation = 'upsert';
+    this.payload = [].concat(rows);
+    this.conflictColumns = onConflict.split(',').map(column => column.trim());
+    this.ignoreDuplicates = ignoreDuplicates;
+    return this;
+  }
+
+  update(values) {
+    this.operation = 'update';
+    this.values = values;
+    return this;
+  }
+
+  delete() {
+    this.operation = 'delete';
+    return this;
+  }
+
+  where(predicate) {
+    this.filters.push(predicate);
+    return this;
+  }
+
+  eq(column, value) {
+    return this.where(row => row[column] !== null && row[column] !== undefined && toComparable(row[column]) === toComparable(value));
+  }
+
+  neq(column, value) {
+    return this.where(row => row[column] !== null && row[column] !== undefined && toComparable(row[column]) !== toComparable(value));
+  }
+
+  gt(column, value) {
+    return this.where(row => row[column] != null && toComparable(row[column]) > toComparable(value));
+  }
+
+  gte(column, value) {
+    return this.where(row => row[column] != null && toComparable(row[column]) >= toComparable(value));
+  }
+
+  lt(column, value) {
+    return this.where(row => row[column] != null && toComparable(row[column]) < toComparable(value));
+  }
+
+  lte(column, value) {
+    return this.where(row => row[column] != null && toComparable(row[column]) <= toComparable(value));
+  }
+
+  in(column, values) {
+    return this.where(row => values.includes(row[column]));
+  }
+
+  is(column, value) {
+    return this.where(row => (row[column] ?? null) === value);
+  }
+
+  like(column, pattern) {
+    const regExp = likeToRegExp(pattern);
+    return this.where(row => typeof row[column] === 'string' && regExp.test(row[column]));
+  }
+
+  not(column, operator, value) {
+    if (operator !== 'is') {
+      throw new Error(`Fake Supabase does not support not(${operator})`);
+    }
+    return this.where(row => (row[column] ?? null) !== value);
+  }
+
+  order(column, { ascending = true } = {}) {
+    this.orders.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  single() {
+    this.resultMode = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute()).then(resolve, reject);
+  }
+
+  matches() {
+    return getTable(this.table).filter(row => this.filters.every(predicate => predicate(row)));
+  }
+
+  execute() {
+    if (failures.has(this.table)) {
+      return { data: null, error: failures.get(this.table), count: null };
+    }
+
+    const { rows, error } = this.run();
+    if (error) {
+      return { data: null, error, count: null };
+    }
+
+    const count = this.countRequested ? rows.length : null;
+    if (this.headOnly) {
+      return { data: null, error: null, count };
+    }
+
+    const data = this.returning || this.operation === 'select'
+      ? rows.map(row => ({ ...row }))
+      : null;
+
+    return this.shape(data, count);
+  }
+
+  shape(data, count) {
+    if (this.resultMode === 'many' || data === null) {
+      return { data, error: null, count };
+    }
+
+    if (data.length > 1 || (data.length === 0 && this.resultMode === 'single')) {
+      return {
+        data: null,
+        error: { code: 'PGRST116', message: `JSON object requested, ${data.length} rows returned` },
+        count
+      };
+    }
+
+    return { data: data[0] || null, error: null, count };
+  }
+
+  run() {
+    const table = getTable(this.table);
+
+    switch (this.operation) {
+      case 'select': {
+        let rows = this.matches();
+        this.orders.slice().reverse().forEach(({ column, ascending }) => {
+          rows = rows.slice().sort((a, b) => {
+            const left = toComparable(a[column]);
+            const right = toComparable(b[column]);
+            if (left === right) return 0;
+            return (left < right ? -1 : 1) * (ascending ? 1 : -1);
+          });
+        });
+        return { rows: this.limitCount === null ? rows : rows.slice(0, this.limitCount) };
+      }
+
+      case 'insert': {
+        const rows = this.payload.map(row => ({ id: generateId(), ...row }));
+        const pending = [];
+        for (const row of rows) {
+          if (findConflict(this.table, row) || pending.some(other => findConflictBetween(this.table, row, other))) {
+            return { error: uniqueViolation(this.table) };
+          }
+          pending.push(row);
+        }
+        table.push(...rows);
+        return { rows };
+      }
+
+      case 'upsert': {
+        const written = [];
+        for (const row of this.payload) {
+          const existing = table.find(candidate =>
+            this.conflictColumns.every(column => candidate[column] === row[column]));
+
+          if (existing) {
+            if (!this.ignoreDuplicates) {
+              Object.assign(existing, row);
+              written.push(existing);
+            }
+            continue;
+          }
+
+          const inserted = { id: generateId(), ...row };
+          if (findConflict(this.table, inserted)) {
+            return { error: uniqueViolation(this.table) };
+          }
+          table.push(inserted);
+          written.push(inserted);
+        }
+        return { rows: written };
+      }
+
+      case 'update': {
+        const rows = this.matches();
+        for (const row of rows) {
+          if (findConflict(this.table, { ...row, ...this.values }, row)) {
+            return { error: uniqueViolation(this.table) };
+          }
+        }
+        rows.forEach(row => Object.assign(row, this.values));
+        return { rows };
+      }
+
+      case 'delete': {
+        const rows = this.matches();
+        tables.set(this.table, table.filter(row => !rows.includes(row)));
+        return { rows };
+      }
+
+      default:
+        throw new Error(`Unknown operation ${this.operation}`);
+    }
+  }
+}
+
+function findConflictBetween(table, row, other) {
+  return (uniqueColumns.get(table) || []).some(columns =>
+    columns.every(column => row[column] !== null && row[column] !== undefined && other[column] === row[column]));
+}
+
+export function createClient() {
+  return {
+    from: (table) => new QueryBuilder(table),
+
+    async rpc(name, params = {}) {
+      const handler = rpcs.get(name);
+      if (!handler) {
+        return { data: null, error: { code: 'PGRST202', message: `Could not find the function ${name}` } };
+      }
+
+      try {
+        return { data: await handler(params, db), error: null };
+      } catch (error) {
+        return { data: null, error: { message: error.message } };
+      }
+    },
+
+    auth: {
+      getUser: async (accessToken) => sessions.has(accessToken)
+        ? { data: { user: sessions.get(accessToken) }, error: null }
+        : { data: { user: null }, error: { message: 'Invalid JWT' } }
+    }
+  };
+}
@@ -0,0 +1,24 @@
+// Fake web-push: records the messages sent. Tests read and clear
+// `webpush.sentMessages`, and map an endpoint to an HTTP status in
+// `webpush.failures` to have the push service reject it.
+const webpush = {
+  sentMessages: [],
+  failures: new Map(),
+
+  setVapidDetails() {},
+
+  async sendNotification(subscription, payload, options = {}) {
+    const statusCode = webpush.failures.get(subscription.endpoint);
+    if (statusCode) {
+      const error = new Error('Received unexpected response code');
+      error.statusCode = statusCode;
+      error.body = '';
+      throw error;
+    }
+
+    webpush.sentMessages.push({ subscription, payload: JSON.parse(payload), options });
+    return { statusCode: 201 };
+  }
+};
+
+export default webpush;
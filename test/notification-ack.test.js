@@ -0,0 +1,70 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/notifications/[id]/ack.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+import { createRequest, createResponse } from './helpers/http.js';
+
+const H1 = '3f2b8c1e-5d4a-4e6f-9a7b-1c2d3e4f5a6b';
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+
+  db.signIn('token-u1', { id: 'u1' });
+  db.signIn('token-u2', { id: 'u2' });
+  db.seed('notification_history', [{ id: H1, user_id: 'u1', status: 'sent' }]);
+});
+
+async function ack(accessToken, id, body) {
+  const res = createResponse();
+  await handler(createRequest({
+    method: 'POST',
+    headers: { authorization: `Bearer ${accessToken}` },
+    query: { id },
+    body
+  }), res);
+  return res;
+}
+
+const history = () => db.rows('notification_history')[0];
+
+test('the recipient can report opening a notification with an action', async () => {
+  const res = await ack('token-u1', H1, { status: 'opened', actionId: 'view_gallery' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.updated, true);
+  assert.equal(history().status, 'opened');
+  assert.equal(history().action_id, 'view_gallery');
+  assert.ok(history().opened_at);
+  assert.equal(history().read_at, history().opened_at);
+});
+
+test('a late delivered report does not undo an open', async () => {
+  await ack('token-u1', H1, { status: 'opened' });
+  const res = await ack('token-u1', H1, { status: 'delivered' });
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.updated, false);
+  assert.equal(history().status, 'opened');
+});
+
+test('other users cannot acknowledge the notification', async () => {
+  const res = await ack('token-u2', H1, { status: 'dismissed' });
+
+  assert.equal(res.body.updated, false);
+  assert.equal(history().status, 'sent');
+});
+
+test('requests without a valid session or status are rejected', async () => {
+  assert.equal((await ack('expired', H1, { status: 'opened' })).statusCode, 401);
+  assert.equal((await ack('token-u1', H1, { status: 'read' })).statusCode, 400);
+  assert.equal((await ack('token-u1', H1, { status: 'delivered', actionId: 'like_back' })).statusCode, 400);
+});
+
+test('ids that aren\'t notification ids are rejected', async () => {
+  const res = await ack('token-u1', 'h1', { status: 'opened' });
+
+  assert.equal(res.statusCode, 400);
+  assert.equal(history().status, 'sent');
+});
@@ -0,0 +1,97 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Expo } from 'expo-server-sdk';
+import { notificationService } from '../lib/notification-service.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+const like = (likeCount) => ({ photoId: `p${likeCount}`, eventId: 'e1', eventName: 'Party', likeCount });
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+  Expo.sentMessages.length = 0;
+
+  db.unique('notification_batches', 'user_id', 'notification_type');
+  db.seed('notification_preferences', [{ user_id: 'u1', photo_likes: true, batch_mode: true }]);
+  db.seed('push_tokens', [{ user_id: 'u1', token: 'ExponentPushToken[u1]', platform: 'ios', is_active: true, failure_count: 0 }]);
+
+  // Same contract as append_notification_batch_item in
+  // supabase_notification_batches_migration.sql
+  db.rpc('append_notification_batch_item', ({ p_batch_id, p_item, p_max_count }) => {
+    const batch = db.table('notification_batches').find(row => row.id === p_batch_id);
+    if (!batch || Date.parse(batch.window_ends_at) <= Date.now()) return null;
+
+    batch.notifications = [...batch.notifications, p_item];
+    if (batch.notifications.length < p_max_count) return [];
+
+    const ready = batch.notifications;
+    batch.notifications = [];
+    return ready;
+  });
+});
+
+function seedClosedBatch(count) {
+  db.seed('notification_batches', [{
+    user_id: 'u1',
+    notification_type: 'photo_liked',
+    notifications: Array.from({ length: count }, (_, i) => ({ data: like(i + 1), created_at: new Date().toISOString() })),
+    window_started_at: new Date(Date.now() - 40 * 60 * 1000).toISOString(),
+    window_ends_at: new Date(Date.now() - 10 * 60 * 1000).toISOString()
+  }]);
+  return db.rows('notification_batches')[0].id;
+}
+
+test('the first like is sent and the next ones are held until maxCount', async () => {
+  const first = await notificationService.sendNotification('u1', 'photo_liked', like(1));
+  assert.equal(first.success, true);
+  assert.equal(Expo.sentMessages.length, 1);
+
+  for (let i = 2; i <= 5; i++) {
+    assert.equal((await notificationService.sendNotification('u1', 'photo_liked', like(i))).reason, 'batched');
+  }
+  assert.equal(Expo.sentMessages.length, 1);
+  assert.equal(db.rows('notification_batches')[0].notifications.length, 4);
+
+  // The fifth held like reaches maxCount: one digest, window stays open
+  await notificationService.sendNotification('u1', 'photo_liked', like(6));
+  assert.equal(Expo.sentMessages.length, 2);
+  assert.equal(Expo.sentMessages[1].data.type, 'photo_liked_batch');
+  assert.deepEqual(db.rows('notification_batches')[0].notifications, []);
+});
+
+test('a closed window is sent once when flushes race', async () => {
+  const batchId = seedClosedBatch(3);
+
+  const results = await Promise.all([
+    notificationService.flushDueBatches(),
+    notificationService.flushDueBatches(),
+    notificationService.flushBatch(batchId)
+  ]);
+
+  assert.equal(Expo.sentMessages.length, 1);
+  assert.equal(results[0] + results[1] + (results[2]?.success ? 1 : 0), 1);
+  assert.deepEqual(db.rows('notification_batches'), []);
+});
+
+test('a like arriving after the window closed flushes it and opens a new one', async () => {
+  seedClosedBatch(2);
+
+  const result = await notificationService.sendNotification('u1', 'photo_liked', like(9));
+
+  assert.equal(result.success, true);
+  assert.equal(Expo.sentMessages.length, 2); // the digest, then this like
+  const [batch] = db.rows('notification_batches');
+  assert.deepEqual(batch.notifications, []);
+  assert.ok(Date.parse(batch.window_ends_at) > Date.now());
+});
+
+test('flushDueBatches stops at the deadline', async () => {
+  seedClosedBatch(2);
+
+  const flushed = await notificationService.flushDueBatches({ deadline: Date.now() - 1 });
+
+  assert.equal(flushed, 0);
+  assert.equal(Expo.sentMessages.length, 0);
+  assert.equal(db.rows('notification_batches').length, 1);
+});
@@ -0,0 +1,68 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import handler from '../api/notify.js';
+import { acquireNotificationRateLimit } from '../lib/rate-limiter.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+import { createRequest, createResponse } from './helpers/http.js';
+
+process.env.API_SECRET_KEY = 'test-api-key';
+
+const like = { photoId: 'p1', eventId: 'e1', eventName: 'Party', likeCount: 1 };
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+
+  db.seed('notification_preferences', [
+    { user_id: 'u1', photo_likes: true },
+    { user_id: 'muted', photo_likes: false }
+  ]);
+  db.seed('push_tokens', [{ user_id: 'u1', token: 'ExponentPushToken[u1]', platform: 'ios', is_active: true, failure_count: 0 }]);
+});
+
+async function notify(body, key) {
+  const res = createResponse();
+  await handler(createRequest({
+    method: 'POST',
+    headers: { authorization: 'Bearer test-api-key', 'idempotency-key': key },
+    body
+  }), res);
+  return res;
+}
+
+const storedResponse = (key) => fakeRedis.get(`idempotency:notify:${key}`);
+
+test('a rate limited send is not replayed, so the key can be retried', async () => {
+  for (let i = 0; i < 10; i++) {
+    await acquireNotificationRateLimit('u1', 'photo_liked', like);
+  }
+
+  const res = await notify({ userId: 'u1', type: 'photo_liked', data: like }, 'like-1');
+
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.body.success, false);
+  assert.equal(storedResponse('like-1'), null);
+});
+
+test('a send skipped by the user\'s preferences is replayed', async () => {
+  const first = await notify({ userId: 'muted', type: 'photo_liked', data: like }, 'like-2');
+  const retry = await notify({ userId: 'muted', type: 'photo_liked', data: like }, 'like-2');
+
+  assert.equal(first.statusCode, 200);
+  assert.equal(first.body.result.reason, 'type_disabled');
+  assert.equal(retry.headers['idempotent-replayed'], 'true');
+  assert.deepEqual(retry.body, first.body);
+});
+
+test('a bulk send with a retryable failure is not stored', async () => {
+  for (let i = 0; i < 10; i++) {
+    await acquireNotificationRateLimit('u1', 'photo_liked', like);
+  }
+
+  const res = await notify({ userIds: ['u1', 'muted'], type: 'photo_liked', data: like }, 'like-3');
+
+  assert.equal(res.statusCode, 429);
+  assert.deepEqual(res.body.result.details.map(d => d.reason).sort(), ['rate_limited', 'type_disabled']);
+  assert.equal(storedResponse('like-3'), null);
+});
@@ -0,0 +1,66 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { processNotificationQueue } from '../api/cron/process-queue.js';
+import { acquireNotificationRateLimit } from '../lib/rate-limiter.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+const like = { photoId: 'p1', eventId: 'e1', eventName: 'Party', likeCount: 1 };
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+
+  // Same contract as claim_notification_queue in supabase_queue_claiming_migration.sql
+  db.rpc('claim_notification_queue', ({ p_limit }) => db.table('notification_queue')
+    .filter(row => row.status === 'pending' && Date.parse(row.scheduled_for) <= Date.now())
+    .slice(0, p_limit)
+    .map(row => Object.assign(row, { status: 'processing' })));
+});
+
+function queue(userId) {
+  db.seed('notification_queue', [{
+    user_id: userId,
+    notification_type: 'photo_liked',
+    data: like,
+    status: 'pending',
+    retry_count: 0,
+    scheduled_for: new Date(Date.now() - 1000).toISOString()
+  }]);
+}
+
+const queuedFor = (userId) => db.rows('notification_queue').find(row => row.user_id === userId);
+
+test('notifications a retry cannot deliver are skipped', async () => {
+  db.seed('notification_preferences', [
+    { user_id: 'disabled', photo_likes: false },
+    { user_id: 'no-devices', photo_likes: true }
+  ]);
+  queue('disabled');
+  queue('no-devices');
+
+  await processNotificationQueue();
+
+  for (const [userId, reason] of [['disabled', 'type_disabled'], ['no-devices', 'no_tokens']]) {
+    const row = queuedFor(userId);
+    assert.equal(row.status, 'skipped');
+    assert.equal(row.error_message, reason);
+    assert.equal(row.retry_count, 0);
+  }
+});
+
+test('rate limited notifications are retried later', async () => {
+  db.seed('notification_preferences', [{ user_id: 'busy', photo_likes: true }]);
+  db.seed('push_tokens', [{ user_id: 'busy', token: 'ExponentPushToken[busy]', platform: 'ios', is_active: true, failure_count: 0 }]);
+  for (let i = 0; i < 10; i++) {
+    await acquireNotificationRateLimit('busy', 'photo_liked', like);
+  }
+  queue('busy');
+
+  await processNotificationQueue();
+
+  const row = queuedFor('busy');
+  assert.equal(row.status, 'pending');
+  assert.equal(row.retry_count, 1);
+  assert.ok(Date.parse(row.scheduled_for) > Date.now());
+});
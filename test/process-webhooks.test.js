@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { processWebhookQueue } from '../api/cron/process-webhooks.js';
+import { db } from './mocks/supabase-js.js';
+
+// No handler is registered for this table, so handling it always succeeds
+const auditPayload = { table: 'audit_log', type: 'INSERT', record: { id: 'a1' } };
+
+// A handled event without its record fails
+const brokenPayload = { table: 'photos', type: 'INSERT', record: null };
+
+beforeEach(() => {
+  db.reset();
+
+  // Same contract as claim_webhook_queue in supabase_webhook_queue_claiming_migration.sql
+  db.rpc('claim_webhook_queue', ({ p_limit }) => db.table('webhook_queue')
+    .filter(row => row.status === 'pending' && row.retry_count < 3)
+    .slice(0, p_limit)
+    .map(row => Object.assign(row, { status: 'processing', lease_expires_at: 'claimed' })));
+});
+
+function queue(id, payload) {
+  db.seed('webhook_queue', [{ id, payload, status: 'pending', retry_count: 0 }]);
+}
+
+const row = (id) => db.rows('webhook_queue').find(r => r.id === id);
+
+test('claimed payloads are handled and their lease cleared', async () => {
+  queue('w1', auditPayload);
+  queue('w2', brokenPayload);
+
+  assert.equal(await processWebhookQueue(), 1);
+
+  assert.equal(row('w1').status, 'sent');
+  assert.equal(row('w1').lease_expires_at, null);
+  assert.equal(row('w2').status, 'pending');
+  assert.equal(row('w2').retry_count, 1);
+  assert.equal(row('w2').lease_expires_at, null);
+});
+
+test('claimed payloads not started before the deadline go back to the queue', async () => {
+  queue('w1', auditPayload);
+
+  assert.equal(await processWebhookQueue({ deadline: Date.now() - 1 }), 0);
+
+  assert.equal(row('w1').status, 'pending');
+  assert.equal(row('w1').lease_expires_at, null);
+});
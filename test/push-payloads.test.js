@@ -0,0 +1,63 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { Expo } from 'expo-server-sdk';
+import { notificationService } from '../lib/notification-service.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+const NOW = Date.parse('2025-06-01T12:00:00Z');
+
+// Starts in 15 minutes, sooner than the template's one hour TTL
+const startingSoon = { eventId: 'e1', eventName: 'Launch party', minutesUntilStart: 15, startTime: '2025-06-01T12:15:00Z' };
+const START_EPOCH_SECONDS = Date.parse(startingSoon.startTime) / 1000;
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+  Expo.sentMessages.length = 0;
+  admin.sentMessages.length = 0;
+  mock.timers.enable({ apis: ['Date'], now: NOW });
+
+  db.seed('notification_preferences', [{ user_id: 'u1', event_updates: true }]);
+  db.seed('push_tokens', [
+    { user_id: 'u1', token: 'ExponentPushToken[phone]', platform: 'ios', is_active: true, failure_count: 0 },
+    { user_id: 'u1', token: 'fcm-device-token', platform: 'android', is_active: true, failure_count: 0 }
+  ]);
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+test('Expo messages expire with the event start and carry the actions and deep link', async () => {
+  const { historyId } = await notificationService.sendNotification('u1', 'event_starting', startingSoon);
+
+  const [message] = Expo.sentMessages;
+  assert.equal(message.expiration, START_EPOCH_SECONDS);
+  assert.equal(message.categoryId, 'EVENT_UPDATE');
+  assert.equal(message.data.type, 'event_starting');
+  assert.equal(message.data.eventId, 'e1');
+  assert.equal(message.data.historyId, historyId);
+});
+
+test('FCM messages expire with the event start on Android and iOS', async () => {
+  const { historyId } = await notificationService.sendNotification('u1', 'event_starting', startingSoon);
+
+  const [message] = admin.sentMessages;
+  assert.equal(message.android.ttl, 15 * 60 * 1000);
+  assert.equal(message.apns.headers['apns-expiration'], String(START_EPOCH_SECONDS));
+  assert.equal(message.apns.payload.aps.category, 'EVENT_UPDATE');
+  assert.equal(message.data.eventId, 'e1');
+  assert.equal(message.data.historyId, historyId);
+  assert.deepEqual(JSON.parse(message.data.actions).map(action => action.id), ['open_event']);
+});
+
+test('a notification past its expiry is not sent', async () => {
+  mock.timers.tick(20 * 60 * 1000);
+
+  const result = await notificationService.sendNotification('u1', 'event_starting', startingSoon);
+
+  assert.equal(result.reason, 'expired');
+  assert.equal(Expo.sentMessages.length + admin.sentMessages.length, 0);
+});
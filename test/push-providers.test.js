@@ -0,0 +1,74 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import admin from 'firebase-admin';
+import { Expo } from 'expo-server-sdk';
+import { groupTokensByProvider, registerPushProvider } from '../lib/push-providers.js';
+import { notificationService } from '../lib/notification-service.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+const EXPO_TOKEN = { token: 'ExponentPushToken[phone]', platform: 'ios' };
+const FCM_TOKEN = { token: 'fcm-device-token', platform: 'android' };
+const APNS_TOKEN = { token: 'a1b2c3d4', platform: 'ios' };
+
+const like = { photoId: 'p1', eventId: 'e1', eventName: 'Party', likeCount: 1 };
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+  Expo.sentMessages.length = 0;
+  admin.sentMessages.length = 0;
+
+  db.seed('notification_preferences', [{ user_id: 'u1', photo_likes: true }]);
+});
+
+const addTokens = (...tokens) => db.seed('push_tokens', tokens.map(t => ({
+  ...t,
+  user_id: 'u1',
+  is_active: true,
+  failure_count: 0
+})));
+
+test('tokens are grouped by the first provider that handles them', () => {
+  const unknown = { token: 'device', platform: 'windows' };
+  const { groups, unhandled } = groupTokensByProvider([EXPO_TOKEN, FCM_TOKEN, APNS_TOKEN, unknown]);
+
+  const byName = Object.fromEntries([...groups].map(([provider, tokens]) => [provider.name, tokens]));
+  assert.deepEqual(byName, { expo: [EXPO_TOKEN], fcm_v1: [FCM_TOKEN], apns: [APNS_TOKEN] });
+  assert.deepEqual(unhandled, [unknown]);
+});
+
+test('a send reaches each device through its provider', async () => {
+  addTokens(EXPO_TOKEN, FCM_TOKEN);
+
+  const result = await notificationService.sendNotification('u1', 'photo_liked', like);
+
+  assert.equal(result.devicesReached, 2);
+  assert.deepEqual(Expo.sentMessages.map(m => m.to), [EXPO_TOKEN.token]);
+  assert.deepEqual(admin.sentMessages.map(m => m.token), [FCM_TOKEN.token]);
+  assert.deepEqual(
+    result.results.tokens.map(t => [t.provider, t.success]).sort(),
+    [['expo', true], ['fcm_v1', true]]
+  );
+});
+
+test('a registered provider takes the tokens it handles', async () => {
+  const sent = [];
+  registerPushProvider({
+    name: 'test_transport',
+    canHandle: (tokenRecord) => tokenRecord.platform === 'android',
+    validate: async () => ({ valid: true, error: null, shouldDeactivate: false }),
+    sendBatch: async (tokens, notification) => {
+      sent.push(...tokens.map(token => ({ token, title: notification.title })));
+      return tokens.map(token => ({ token, success: true, invalidToken: false }));
+    },
+    normalizeError: (error) => ({ code: 'TEST', message: error.message, invalidToken: false })
+  });
+  addTokens(EXPO_TOKEN, FCM_TOKEN);
+
+  const result = await notificationService.sendNotification('u1', 'photo_liked', like);
+
+  assert.equal(result.devicesReached, 2);
+  assert.deepEqual(sent.map(s => s.token), [FCM_TOKEN.token]);
+  assert.equal(admin.sentMessages.length, 0);
+});
@@ -0,0 +1,101 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  isValidTimeZone,
+  parseTimeOfDay,
+  isWithinQuietHours,
+  getQuietHoursEnd
+} from '../lib/quiet-hours.js';
+import { notificationService } from '../lib/notification-service.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+const overnight = {
+  quiet_hours_enabled: true,
+  quiet_hours_start: '22:00',
+  quiet_hours_end: '07:00',
+  timezone: 'UTC'
+};
+
+test('parseTimeOfDay accepts HH:MM and Postgres HH:MM:SS', () => {
+  assert.equal(parseTimeOfDay('07:30'), 450);
+  assert.equal(parseTimeOfDay('22:00:00'), 1320);
+  assert.equal(parseTimeOfDay('24:00'), null);
+  assert.equal(parseTimeOfDay('7pm'), null);
+  assert.equal(parseTimeOfDay(null), null);
+});
+
+test('isValidTimeZone only accepts IANA zones', () => {
+  assert.equal(isValidTimeZone('Asia/Kolkata'), true);
+  assert.equal(isValidTimeZone('Mars/Olympus'), false);
+  assert.equal(isValidTimeZone(''), false);
+});
+
+test('a window crossing midnight covers both sides of it', () => {
+  assert.equal(isWithinQuietHours(overnight, new Date('2025-06-01T23:30:00Z')), true);
+  assert.equal(isWithinQuietHours(overnight, new Date('2025-06-01T03:00:00Z')), true);
+  assert.equal(isWithinQuietHours(overnight, new Date('2025-06-01T12:00:00Z')), false);
+});
+
+test('the window includes its start and excludes its end', () => {
+  assert.equal(isWithinQuietHours(overnight, new Date('2025-06-01T22:00:00Z')), true);
+  assert.equal(isWithinQuietHours(overnight, new Date('2025-06-01T07:00:00Z')), false);
+});
+
+test('quiet hours are evaluated in the user\'s timezone', () => {
+  const kolkata = { ...overnight, timezone: 'Asia/Kolkata' }; // UTC+5:30
+
+  // 17:00 UTC is 22:30 in Kolkata
+  assert.equal(isWithinQuietHours(kolkata, new Date('2025-06-01T17:00:00Z')), true);
+  assert.equal(isWithinQuietHours(kolkata, new Date('2025-06-01T23:30:00Z')), true);
+  assert.equal(isWithinQuietHours(kolkata, new Date('2025-06-01T02:00:00Z')), false);
+});
+
+test('disabled, empty or unparseable windows are never quiet', () => {
+  const now = new Date('2025-06-01T23:30:00Z');
+  assert.equal(isWithinQuietHours({ ...overnight, quiet_hours_enabled: false }, now), false);
+  assert.equal(isWithinQuietHours({ ...overnight, quiet_hours_end: '22:00' }, now), false);
+  assert.equal(isWithinQuietHours({ ...overnight, quiet_hours_start: 'late' }, now), false);
+  assert.equal(isWithinQuietHours(null, now), false);
+});
+
+test('getQuietHoursEnd returns the next end of the current window', () => {
+  assert.equal(
+    getQuietHoursEnd(overnight, new Date('2025-06-01T23:30:45Z')).toISOString(),
+    '2025-06-02T07:00:00.000Z'
+  );
+  assert.equal(
+    getQuietHoursEnd({ ...overnight, timezone: 'America/New_York' }, new Date('2025-06-02T03:00:00Z')).toISOString(),
+    '2025-06-02T11:00:00.000Z'
+  );
+  assert.equal(getQuietHoursEnd(overnight, new Date('2025-06-01T12:00:00Z')), null);
+});
+
+async function sendAt(isoTime) {
+  db.reset();
+  fakeRedis.reset();
+  db.seed('notification_preferences', [{ user_id: 'u1', photo_likes: true, ...overnight }]);
+  db.seed('push_tokens', [{ user_id: 'u1', token: 'ExponentPushToken[u1]', platform: 'ios', is_active: true, failure_count: 0 }]);
+
+  mock.timers.enable({ apis: ['Date'], now: Date.parse(isoTime) });
+  try {
+    return await notificationService.sendNotification('u1', 'photo_liked', { photoId: 'p1', eventId: 'e1', eventName: 'Party', likeCount: 1 });
+  } finally {
+    mock.timers.reset();
+  }
+}
+
+test('a send in the last moment of quiet hours is deferred to the window end', async () => {
+  const result = await sendAt('2025-06-01T06:59:59.999Z');
+
+  assert.equal(result.reason, 'deferred');
+  assert.equal(result.scheduledFor, '2025-06-01T07:00:00.000Z');
+});
+
+test('a send as quiet hours end goes out immediately', async () => {
+  const result = await sendAt('2025-06-01T07:00:00.000Z');
+
+  assert.equal(result.success, true);
+  assert.equal(result.devicesReached, 1);
+  assert.equal(db.rows('notification_queue').length, 0);
+});
@@ -0,0 +1,95 @@
+import { test, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  acquireNotificationRateLimit,
+  releaseNotificationRateLimit,
+  getRateLimitRules
+} from '../lib/rate-limiter.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+// 30 seconds into a one-minute window
+const START = Date.parse('2025-06-01T12:00:30Z');
+const USER_COUNTER = `rate_limit:notifications:user:photo_liked:u1:${Math.floor(START / 60000)}`;
+
+beforeEach(() => {
+  fakeRedis.reset();
+  mock.timers.enable({ apis: ['Date'], now: START });
+});
+
+afterEach(() => {
+  mock.timers.reset();
+});
+
+async function send(count, userId, type, data = {}) {
+  for (let i = 0; i < count; i++) {
+    await acquireNotificationRateLimit(userId, type, data);
+  }
+}
+
+test('a user is limited once the per-user window is full', async () => {
+  await send(10, 'u1', 'photo_liked');
+  assert.deepEqual(await acquireNotificationRateLimit('u1', 'photo_liked'), {
+    limited: true,
+    scope: 'user',
+    limit: 10,
+    windowSeconds: 60
+  });
+
+  // The rejected attempt isn't counted
+  assert.equal(Number(fakeRedis.get(USER_COUNTER)), 10);
+
+  // Other users have their own counters
+  assert.equal((await acquireNotificationRateLimit('u2', 'photo_liked')).limited, false);
+});
+
+test('concurrent sends can\'t exceed the limit together', async () => {
+  const reservations = await Promise.all(
+    Array.from({ length: 15 }, () => acquireNotificationRateLimit('u1', 'photo_liked'))
+  );
+
+  assert.equal(reservations.filter(r => !r.limited).length, 10);
+  assert.equal(Number(fakeRedis.get(USER_COUNTER)), 10);
+});
+
+test('a released reservation frees its place', async () => {
+  await send(9, 'u1', 'photo_liked');
+  const reservation = await acquireNotificationRateLimit('u1', 'photo_liked');
+  assert.equal(reservation.limited, false);
+
+  await releaseNotificationRateLimit(reservation);
+
+  assert.equal((await acquireNotificationRateLimit('u1', 'photo_liked')).limited, false);
+  assert.equal((await acquireNotificationRateLimit('u1', 'photo_liked')).limited, true);
+});
+
+test('the previous window counts by how much of it still overlaps', async () => {
+  await send(10, 'u1', 'photo_liked');
+
+  // Half way into the next window, half of the previous 10 still count
+  mock.timers.tick(60 * 1000);
+  await send(5, 'u1', 'photo_liked');
+  assert.equal((await acquireNotificationRateLimit('u1', 'photo_liked')).limited, true);
+
+  // Two windows later the burst no longer counts
+  mock.timers.tick(90 * 1000);
+  assert.equal((await acquireNotificationRateLimit('u1', 'photo_liked')).limited, false);
+});
+
+test('per-event rules only apply to notifications about an event', async () => {
+  await send(1, 'u1', 'gallery_unlocked', { eventId: 'e1' });
+
+  assert.equal((await acquireNotificationRateLimit('u1', 'gallery_unlocked', { eventId: 'e1' })).limited, true);
+  assert.equal((await acquireNotificationRateLimit('u1', 'gallery_unlocked', { eventId: 'e2' })).limited, false);
+  assert.equal((await acquireNotificationRateLimit('u1', 'gallery_unlocked')).limited, false);
+});
+
+test('types without rules use the default rules', () => {
+  assert.deepEqual(getRateLimitRules('quiet_hours_digest'), getRateLimitRules('default'));
+});
+
+test('the limiter fails open when Redis is down', async () => {
+  await send(10, 'u1', 'photo_liked');
+  fakeRedis.setAvailable(false);
+
+  assert.equal((await acquireNotificationRateLimit('u1', 'photo_liked')).limited, false);
+});
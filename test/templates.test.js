@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildNotification,
+  getCollapseKey,
+  getNotificationExpiry,
+  getRemainingTtlSeconds
+} from '../lib/templates.js';
+
+test('getCollapseKey fills placeholders from the data', () => {
+  assert.equal(getCollapseKey('photo_liked:{photoId}', { photoId: 'p1' }), 'photo_liked:p1');
+  assert.equal(getCollapseKey('quiet_hours_digest', {}), 'quiet_hours_digest');
+});
+
+test('getCollapseKey is null without a pattern or with a missing value', () => {
+  assert.equal(getCollapseKey(null, { photoId: 'p1' }), null);
+  assert.equal(getCollapseKey('photo_liked:{photoId}', {}), null);
+  assert.equal(getCollapseKey('photo_liked:{photoId}', { photoId: '' }), null);
+});
+
+test('getCollapseKey hashes keys longer than 64 bytes instead of truncating them', () => {
+  const first = getCollapseKey('event_status:{eventId}', { eventId: 'a'.repeat(80) });
+  const second = getCollapseKey('event_status:{eventId}', { eventId: `${'a'.repeat(79)}b` });
+
+  assert.match(first, /^[0-9a-f]{64}$/);
+  assert.notEqual(first, second);
+});
+
+test('notifications about the same photo share a collapse key', () => {
+  const data = { photoId: 'p1', eventId: 'e1', eventName: 'Party' };
+  const ten = buildNotification('photo_liked', { ...data, likeCount: 10 });
+  const fifty = buildNotification('photo_liked', { ...data, likeCount: 50 });
+
+  assert.equal(ten.collapseKey, 'photo_liked:p1');
+  assert.equal(fifty.collapseKey, ten.collapseKey);
+});
+
+test('expiry is the earlier of the TTL and the template deadline', () => {
+  const now = Date.parse('2025-06-01T12:00:00Z');
+  const template = { ttlSeconds: 60 * 60, expiresAt: (data) => data.startTime };
+
+  assert.equal(getNotificationExpiry(template, { startTime: '2025-06-01T12:15:00Z' }, now), '2025-06-01T12:15:00.000Z');
+  assert.equal(getNotificationExpiry(template, { startTime: '2025-06-01T18:00:00Z' }, now), '2025-06-01T13:00:00.000Z');
+  assert.equal(getNotificationExpiry(template, {}, now), '2025-06-01T13:00:00.000Z');
+});
+
+test('remaining TTL counts down to zero', () => {
+  const notification = { expiresAt: '2025-06-01T12:00:10Z' };
+
+  assert.equal(getRemainingTtlSeconds(notification, Date.parse('2025-06-01T12:00:00Z')), 10);
+  assert.equal(getRemainingTtlSeconds(notification, Date.parse('2025-06-01T12:05:00Z')), 0);
+  assert.equal(getRemainingTtlSeconds({}), undefined);
+});
@@ -1,8 +1,10 @@
 // Complete notification flow test script
 import fetch from 'node-fetch';
+import { signWebhookPayload } from '../lib/webhook-signature.js';
 
 const VERCEL_URL = 'https://partysnap-notification.vercel.app';
 const API_SECRET = 'zPlQ+EuXwkeeVl6bFZPLtay2p2u2RxoWY4I05a2766s=';
+const WEBHOOK_SECRET = 'WtfToppHN4bu6RxEtJ6sFRnr8APTehtvoFUVLGj1Ap4=';
 
 async function testCompleteFlow() {
   console.log('🧪 Testing complete notification flow...\n');
@@ -146,21 +148,23 @@ async function testBulkNotification() {
 
 async function testWebhookEndpoint() {
   try {
+    const body = JSON.stringify({
+      table: 'photo_likes',
+      type: 'INSERT',
+      record: {
+        id: 'test-like-123',
+        photo_id: 'test-photo-456',
+        user_id: 'test-liker-789'
+      }
+    });
+
     const response = await fetch(`${VERCEL_URL}/api/webhook`, {
       method: 'POST',
       headers: {
-        'Content-Type': 'application/json',
-        'x-webhook-secret': 'WtfToppHN4bu6RxEtJ6sFRnr8APTehtvoFUVLGj1Ap4='
+        'Content-Type': 'text/plain',
+        'x-webhook-signature': signWebhookPayload(WEBHOOK_SECRET, body)
       },
-      body: JSON.stringify({
-        table: 'photo_likes',
-        type: 'INSERT',
-        record: {
-          id: 'test-like-123',
-          photo_id: 'test-photo-456',
-          user_id: 'test-liker-789'
-        }
-      })
+      body
     });
 
     const result = await response.json();
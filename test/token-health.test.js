@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { notificationService } from '../lib/notification-service.js';
+import { db } from './mocks/supabase-js.js';
+
+const TOKEN = 'device-token-1';
+
+beforeEach(() => {
+  db.reset();
+  db.seed('push_tokens', [{ token: TOKEN, platform: 'android', is_active: true, failure_count: 1 }]);
+
+  // Same contract as record_push_token_failure in supabase_token_failures_migration.sql
+  db.rpc('record_push_token_failure', ({ p_token, p_error }) => {
+    const row = db.table('push_tokens').find(t => t.token === p_token);
+    if (!row) return null;
+    row.failure_count += 1;
+    row.last_error = p_error;
+    return row.failure_count;
+  });
+});
+
+const getToken = () => db.rows('push_tokens')[0];
+
+test('concurrent failures each count and deactivate at the threshold', async () => {
+  // Both sends loaded the token while it had one failure
+  const snapshot = [{ token: TOKEN, failure_count: 1 }];
+
+  await Promise.all([
+    notificationService.updateTokenHealth(snapshot, [], [{ token: TOKEN, error: 'Unavailable' }], []),
+    notificationService.updateTokenHealth(snapshot, [], [{ token: TOKEN, error: 'Unavailable' }], [])
+  ]);
+
+  assert.equal(getToken().failure_count, 3);
+  assert.equal(getToken().is_active, false);
+  assert.match(getToken().deactivation_reason, /Repeated delivery failures \(3\)/);
+});
+
+test('a token is not deactivated when the failure could not be recorded', async () => {
+  db.rpc('record_push_token_failure', () => {
+    throw new Error('connection reset');
+  });
+
+  await notificationService.updateTokenHealth(
+    [{ token: TOKEN, failure_count: 2 }], [], [{ token: TOKEN, error: 'Unavailable' }], []
+  );
+
+  assert.equal(getToken().is_active, true);
+});
@@ -0,0 +1,57 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import webpush from 'web-push';
+import { notificationService } from '../lib/notification-service.js';
+import { db } from './mocks/supabase-js.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+process.env.VAPID_PUBLIC_KEY = 'test-public-key';
+process.env.VAPID_PRIVATE_KEY = 'test-private-key';
+process.env.VAPID_SUBJECT = 'mailto:test@example.com';
+
+const LAPTOP = 'https://fcm.googleapis.com/fcm/send/laptop';
+const OLD_BROWSER = 'https://updates.push.services.mozilla.com/wpush/v2/old';
+
+const like = { photoId: 'p1', eventId: 'e1', eventName: 'Party', likeCount: 1 };
+
+beforeEach(() => {
+  db.reset();
+  fakeRedis.reset();
+  webpush.sentMessages.length = 0;
+  webpush.failures.clear();
+
+  db.seed('notification_preferences', [{ user_id: 'u1', photo_likes: true }]);
+  db.seed('push_tokens', [LAPTOP, OLD_BROWSER].map(endpoint => ({
+    user_id: 'u1',
+    token: endpoint,
+    platform: 'web',
+    web_push_p256dh: 'BNcRdreALRFXTkOOUHK1EtK2wtaz5Ry4YfYCA_0QTpQtUbVlUls0VJXg7A8u-Ts1XbjhazAkj7I99e8QcYP7DkM',
+    web_push_auth: 'tBHItJI5svbpez7KI4CCXg',
+    is_active: true,
+    failure_count: 0
+  })));
+});
+
+const tokenRow = (endpoint) => db.rows('push_tokens').find(row => row.token === endpoint);
+
+test('browser subscriptions get the rendered notification', async () => {
+  const result = await notificationService.sendNotification('u1', 'photo_liked', like);
+
+  assert.equal(result.devicesReached, 2);
+  const message = webpush.sentMessages.find(m => m.subscription.endpoint === LAPTOP);
+  assert.equal(message.subscription.keys.auth, 'tBHItJI5svbpez7KI4CCXg');
+  assert.equal(message.payload.type, 'photo_liked');
+  assert.ok(message.payload.title);
+  assert.equal(message.payload.data.photoId, 'p1');
+  assert.ok(message.options.TTL > 0);
+});
+
+test('subscriptions the push service reports gone are deactivated', async () => {
+  webpush.failures.set(OLD_BROWSER, 410);
+
+  const result = await notificationService.sendNotification('u1', 'photo_liked', like);
+
+  assert.equal(result.devicesReached, 1);
+  assert.equal(tokenRow(OLD_BROWSER).is_active, false);
+  assert.equal(tokenRow(LAPTOP).is_active, true);
+});
@@ -0,0 +1,79 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  signWebhookPayload,
+  verifyWebhookRequest,
+  claimWebhookNonce,
+  releaseWebhookNonce
+} from '../lib/webhook-signature.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+
+const body = JSON.stringify({ table: 'photos', type: 'INSERT', record: { id: 'p1' } });
+const now = Date.parse('2025-06-01T12:00:00Z');
+const timestamp = now / 1000;
+
+beforeEach(() => {
+  fakeRedis.reset();
+  process.env.WEBHOOK_SECRETS = 'current-secret';
+  delete process.env.WEBHOOK_SECRET;
+  delete process.env.WEBHOOK_ALLOW_LEGACY_SECRET;
+});
+
+const headersFor = (signature) => ({ 'x-webhook-signature': signature });
+
+test('accepts a body signed with a configured secret', () => {
+  const result = verifyWebhookRequest(headersFor(signWebhookPayload('current-secret', body, timestamp)), body, now);
+  assert.equal(result.valid, true);
+  assert.ok(result.nonce);
+});
+
+test('rejects a tampered body or an unknown secret', () => {
+  const signature = signWebhookPayload('current-secret', body, timestamp);
+  assert.equal(verifyWebhookRequest(headersFor(signature), `${body} `, now).reason, 'Signature mismatch');
+
+  const forged = signWebhookPayload('other-secret', body, timestamp);
+  assert.equal(verifyWebhookRequest(headersFor(forged), body, now).reason, 'Signature mismatch');
+});
+
+test('rejects timestamps outside the 5 minute tolerance', () => {
+  const stale = signWebhookPayload('current-secret', body, timestamp - 301);
+  assert.equal(verifyWebhookRequest(headersFor(stale), body, now).reason, 'Timestamp outside tolerance');
+
+  const recent = signWebhookPayload('current-secret', body, timestamp - 299);
+  assert.equal(verifyWebhookRequest(headersFor(recent), body, now).valid, true);
+});
+
+test('accepts every secret in the list while rotating', () => {
+  process.env.WEBHOOK_SECRETS = 'old-secret, new-secret';
+
+  for (const secret of ['old-secret', 'new-secret']) {
+    const signature = signWebhookPayload(secret, body, timestamp);
+    assert.equal(verifyWebhookRequest(headersFor(signature), body, now).valid, true);
+  }
+});
+
+test('rejects missing and malformed signature headers', () => {
+  assert.equal(verifyWebhookRequest({}, body, now).reason, 'Missing signature');
+  assert.equal(verifyWebhookRequest(headersFor('v1=abc'), body, now).reason, 'Malformed signature header');
+});
+
+test('only accepts the legacy secret header when explicitly allowed', () => {
+  const headers = { 'x-webhook-secret': 'current-secret' };
+  assert.equal(verifyWebhookRequest(headers, body, now).valid, false);
+
+  process.env.WEBHOOK_ALLOW_LEGACY_SECRET = 'true';
+  assert.equal(verifyWebhookRequest(headers, body, now).valid, true);
+});
+
+test('a signature can be claimed once, and again after being released', async () => {
+  assert.equal(await claimWebhookNonce('abc'), true);
+  assert.equal(await claimWebhookNonce('abc'), false);
+
+  await releaseWebhookNonce('abc');
+  assert.equal(await claimWebhookNonce('abc'), true);
+});
+
+test('the replay check fails open when Redis is down', async () => {
+  fakeRedis.setAvailable(false);
+  assert.equal(await claimWebhookNonce('abc'), true);
+});
@@ -0,0 +1,67 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Readable } from 'node:stream';
+import handler from '../api/webhook.js';
+import { signWebhookPayload } from '../lib/webhook-signature.js';
+import { fakeRedis } from './helpers/fake-redis.js';
+import { createRequest, createResponse } from './helpers/http.js';
+
+// No handler is registered for this table, so nothing else is touched
+const body = JSON.stringify({ table: 'audit_log', type: 'INSERT', record: { id: 'a1' } });
+
+beforeEach(() => {
+  fakeRedis.reset();
+  process.env.WEBHOOK_SECRETS = 'current-secret';
+  delete process.env.WEBHOOK_ALLOW_LEGACY_SECRET;
+});
+
+const signedHeaders = (contentType) => ({
+  'content-type': contentType,
+  'x-webhook-signature': signWebhookPayload('current-secret', body)
+});
+
+async function deliver(req) {
+  const res = createResponse();
+  await handler(req, res);
+  return res;
+}
+
+test('a text body the runtime already read is verified as sent', async () => {
+  const res = await deliver(createRequest({ method: 'POST', headers: signedHeaders('text/plain'), body }));
+
+  assert.equal(res.statusCode, 200);
+  assert.equal(res.body.success, true);
+});
+
+test('an unread body is verified from the stream', async () => {
+  const req = Object.assign(Readable.from([Buffer.from(body)]), {
+    method: 'POST',
+    headers: signedHeaders('text/plain')
+  });
+
+  const res = await deliver(req);
+
+  assert.equal(res.statusCode, 200);
+});
+
+test('a signed body the runtime parsed as JSON is rejected, not mis-verified', async () => {
+  const res = await deliver(createRequest({
+    method: 'POST',
+    headers: signedHeaders('application/json'),
+    body: JSON.parse(body)
+  }));
+
+  assert.equal(res.statusCode, 415);
+});
+
+test('legacy unsigned senders may still send JSON', async () => {
+  process.env.WEBHOOK_ALLOW_LEGACY_SECRET = 'true';
+
+  const res = await deliver(createRequest({
+    method: 'POST',
+    headers: { 'content-type': 'application/json', 'x-webhook-secret': 'current-secret' },
+    body: JSON.parse(body)
+  }));
+
+  assert.equal(res.statusCode, 200);
+});